@@ -0,0 +1,65 @@
+const GLOBAL_ACTIONS = {
+  pauseAll: `pause`,
+  resumeAll: `resume`,
+  stopAll: `stop`,
+  mute: `mute`,
+  unmute: `unmute`,
+}
+
+// Calls a SoundManager2 style event handler, such as `onload`, with the sound
+// as `this`, the way SoundManager2 itself does.
+function callback(sound, options, name) {
+  if (typeof options[name] === `function`) { options[name].call(sound) }
+}
+
+function togglePause(sound) {
+  if (sound.paused) {
+    sound.resume()
+  } else if (sound.playState === 1) {
+    sound.pause()
+  } else {
+    sound.play()
+  }
+}
+
+// Builds the global actions SoundManager2 offers (pauseAll, stopAll...) for
+// backends that have to keep track of their own sounds.
+function makeGlobalActions(sounds) {
+  return Object.keys(GLOBAL_ACTIONS).reduce((actions, action) => ({
+    ...actions,
+    [action]: () => Object.keys(sounds).forEach(id =>
+      sounds[id][GLOBAL_ACTIONS[action]]()),
+  }), {})
+}
+
+// SoundManager2's `onPosition` for backends without it. Each callback fires
+// once when playback reaches its position, and seeking back before the
+// position, stopping or finishing arms it again.
+function makePositionCallbacks(sound) {
+  let items = []
+
+  return {
+    onPosition(position, method) {
+      items.push({position, method, fired: false})
+    },
+    clearOnPosition(position, method) {
+      items = items.filter(item => item.position !== position ||
+        method && item.method !== method)
+    },
+    process() {
+      items
+        .filter(item => !item.fired && sound.position >= item.position)
+        .forEach(item => {
+          item.fired = true
+          item.method.call(sound, item.position)
+        })
+    },
+    reset(position) {
+      items
+        .filter(item => item.position > position)
+        .forEach(item => item.fired = false)
+    },
+  }
+}
+
+export {callback, togglePause, makeGlobalActions, makePositionCallbacks}
@@ -0,0 +1,355 @@
+import {
+  callback,
+  togglePause,
+  makeGlobalActions,
+  makePositionCallbacks,
+} from './common'
+
+const DEFAULTS = {
+  duration: 1000,
+  loadTime: 10,
+  tickInterval: 50,
+}
+
+function makeClock() {
+  const clock = {now: 0, timers: []}
+
+  clock.schedule = (delay, fn) => {
+    const timer = {at: clock.now + delay, fn}
+    const index = clock.timers.filter(other => other.at <= timer.at).length
+    clock.timers.splice(index, 0, timer)
+    return timer
+  }
+
+  clock.cancel = timer => {
+    const index = clock.timers.indexOf(timer)
+    if (index !== -1) { clock.timers.splice(index, 1) }
+  }
+
+  clock.advance = ms => {
+    const until = clock.now + ms
+    while (clock.timers.length && clock.timers[0].at <= until) {
+      const timer = clock.timers.shift()
+      clock.now = timer.at
+      timer.fn()
+    }
+    clock.now = until
+  }
+
+  return clock
+}
+
+function createFakeSound(id, options, backend) {
+  const {clock, script, onDestruct} = backend
+  const state = {
+    playState: 0,
+    paused: false,
+    readyState: 1,
+    position: 0,
+    startedAt: 0,
+    volume: 100,
+    muted: false,
+    tick: null,
+    load: null,
+    progress: null,
+    stalled: false,
+    drops: [...script.drops || []],
+    bytesLoaded: null,
+    bytesTotal: null,
+    buffered: [],
+    isBuffering: false,
+    rate: 1,
+    preservesPitch: true,
+    pan: 0,
+  }
+
+  const sound = {
+    id,
+    url: options.url,
+    get position() {
+      const running = state.playState === 1 && !state.paused &&
+        state.readyState === 3 && !state.isBuffering
+      const position = running ?
+        state.position + (clock.now - state.startedAt) * state.rate :
+        state.position
+      return script.live ? position : Math.min(position, script.duration)
+    },
+    get duration() {
+      return state.readyState === 3 ? script.duration : null
+    },
+    get muted() { return state.muted },
+    get volume() { return state.volume },
+    get pan() { return state.pan },
+    get paused() { return state.paused },
+    get playState() { return state.playState },
+    get readyState() { return state.readyState },
+    get bytesLoaded() { return state.bytesLoaded },
+    get bytesTotal() { return state.bytesTotal },
+    get buffered() { return state.buffered },
+    get isBuffering() { return state.isBuffering },
+    get playbackRate() { return state.rate },
+    get preservesPitch() { return state.preservesPitch },
+  }
+
+  const positions = makePositionCallbacks(sound)
+
+  function halt() {
+    state.position = sound.position
+    clock.cancel(state.tick)
+    state.tick = null
+  }
+
+  function setBuffering(isBuffering) {
+    if (state.isBuffering === isBuffering) { return }
+    state.isBuffering = isBuffering
+    callback(sound, options, `onbufferchange`)
+  }
+
+  // Cuts a live stream off once it has played to the next of its `drops`.
+  function dropped() {
+    if (!state.drops.length || sound.position < state.drops[0]) {
+      return false
+    }
+
+    state.drops.shift()
+    halt()
+    state.playState = 0
+    callback(sound, options, `onfailure`)
+    return true
+  }
+
+  function tick() {
+    if (dropped()) { return }
+    positions.process()
+
+    if (!script.live && sound.position >= script.duration) {
+      halt()
+      state.playState = 0
+      state.position = 0
+      positions.reset(0)
+      callback(sound, options, `onfinish`)
+      return
+    }
+
+    // Holds the position for `stall.time` ms, as if the download fell behind.
+    if (script.stall && !state.stalled && sound.position >= script.stall.at) {
+      halt()
+      state.stalled = true
+      setBuffering(true)
+      state.tick = clock.schedule(script.stall.time, () => {
+        state.startedAt = clock.now
+        state.tick = clock.schedule(script.tickInterval, tick)
+        setBuffering(false)
+      })
+      return
+    }
+
+    const current = state.tick
+    callback(sound, options, `whileplaying`)
+    // The handler may have paused, stopped or moved the sound.
+    if (state.tick !== current) { return }
+
+    const remaining = script.live ?
+      Infinity :
+      (script.duration - sound.position) / state.rate
+    state.tick = clock.schedule(
+      Math.min(script.tickInterval, remaining), tick)
+  }
+
+  function start() {
+    if (state.readyState !== 3) { return }
+    state.startedAt = clock.now
+    state.tick = clock.schedule(script.tickInterval, tick)
+    setBuffering(false)
+  }
+
+  // Reports the download of `size` bytes spread evenly over the load time.
+  function download(loadedAt) {
+    const fraction = Math.min(1, 1 - (loadedAt - clock.now) / script.loadTime)
+    state.bytesTotal = script.size
+    state.bytesLoaded = Math.round(script.size * fraction)
+    state.buffered = [{start: 0, end: Math.round(script.duration * fraction)}]
+    callback(sound, options, `whileloading`)
+
+    if (clock.now + script.tickInterval < loadedAt) {
+      state.progress = clock.schedule(script.tickInterval,
+        () => download(loadedAt))
+    }
+  }
+
+  Object.assign(sound, {
+    play() {
+      if (state.playState === 1 && !state.paused) { return }
+      state.playState = 1
+      state.paused = false
+      start()
+      callback(sound, options, `onplay`)
+    },
+    pause() {
+      if (state.playState !== 1 || state.paused) { return }
+      halt()
+      state.paused = true
+      callback(sound, options, `onpause`)
+    },
+    resume() {
+      if (!state.paused) { return }
+      state.paused = false
+      start()
+      callback(sound, options, `onresume`)
+    },
+    togglePause() { togglePause(sound) },
+    stop() {
+      if (state.playState !== 1) { return }
+      halt()
+      state.playState = 0
+      state.paused = false
+      state.position = 0
+      positions.reset(0)
+      callback(sound, options, `onstop`)
+    },
+    setPosition(position) {
+      const running = Boolean(state.tick)
+      halt()
+      state.position = Math.max(0, Math.min(position, script.duration))
+      positions.reset(state.position)
+      if (running) { start() }
+    },
+    onPosition: positions.onPosition,
+    clearOnPosition: positions.clearOnPosition,
+    setVolume(volume) { state.volume = volume },
+    setPan(pan) { state.pan = pan },
+    mute() { state.muted = true },
+    unmute() { state.muted = false },
+    toggleMute() { state.muted = !state.muted },
+    setPlaybackRate(rate, preservePitch) {
+      state.position = sound.position
+      state.startedAt = clock.now
+      state.rate = rate
+      state.preservesPitch = preservePitch
+    },
+    reconnect() {
+      halt()
+      clock.cancel(state.load)
+      state.readyState = 1
+      state.position = 0
+      state.load = clock.schedule(script.loadTime, () => {
+        state.readyState = 3
+        sound.play()
+      })
+    },
+    destruct() {
+      halt()
+      clock.cancel(state.load)
+      clock.cancel(state.progress)
+      state.playState = 0
+      onDestruct(sound)
+    },
+  })
+
+  if (script.fixedRate) { delete sound.setPlaybackRate }
+  sound.canPan = !script.fixedPan
+
+  state.load = clock.schedule(script.loadTime, () => {
+    const pendingPlay = state.playState === 1 && !state.paused
+    if (script.size && !script.fail) { download(clock.now) }
+    state.readyState = script.fail ? 2 : 3
+    callback(sound, options, `onload`)
+    if (script.fail) { return }
+
+    if (script.id3) {
+      sound.id3 = script.id3
+      callback(sound, options, `onid3`)
+    }
+    if (script.metadata) {
+      sound.metadata = script.metadata
+      callback(sound, options, `onmetadata`)
+    }
+    if (pendingPlay) { start() }
+  })
+
+  if (script.size && script.loadTime > script.tickInterval) {
+    const loadedAt = clock.now + script.loadTime
+    state.progress = clock.schedule(script.tickInterval,
+      () => download(loadedAt))
+  }
+
+  if (typeof options.volume === `number`) { sound.setVolume(options.volume) }
+  if (sound.canPan && typeof options.pan === `number`) {
+    sound.setPan(options.pan)
+  }
+  if (options.autoPlay) { sound.play() }
+
+  return sound
+}
+
+/**
+* A backend that plays nothing at all, for tests. Sounds load and play against
+* a virtual clock which only moves when `advance(ms)` is called, so load
+* events, `whileplaying` ticks and finishes happen at predictable times
+* without a browser.
+*
+* Each source can be scripted with a `duration`, a `loadTime` and `fail: true`
+* to make its load fail. A `size` in bytes reports download progress while it
+* loads, and `stall: {at, time}` buffers for `time` ms when playback reaches
+* `at`. Tags given as `id3`, such as `{TIT2: 'Song'}`, and stream `metadata`,
+* such as `{title: 'Now playing'}`, arrive once it has loaded.
+* A `live` source plays on forever, like a radio stream, and `drops`, such as
+* `[300, 0]`, cut its connection each time it has played that far since it
+* last connected, `0` before it plays at all. A `fixedRate` source cannot
+* change its playback rate, like a Flash sound, and a `fixedPan` source
+* cannot pan, like an HTML5 one. `failSetup: true` makes the
+* setup time out:
+*
+* ```
+* const backend = makeFakeBackend({
+*   tickInterval: 50,
+*   sources: {
+*     'song.mp3': {duration: 1200, size: 48000},
+*     'missing.mp3': {fail: true},
+*   },
+* })
+* const audioDriver = makeAudioDriver({backend})
+*
+* backend.advance(100)
+* ```
+*
+* @param {Object} options - `duration`, `loadTime` and `tickInterval` defaults
+* in ms, `sources` scripts keyed by url and `failSetup`.
+* @return {Object} a backend to pass to `makeAudioDriver`, with `advance(ms)`,
+* the `sounds` it has created, and `now()`, `setTimeout(fn, ms)` and
+* `clearTimeout(timer)` on its virtual clock for the driver to time with.
+* @function makeFakeBackend
+**/
+function makeFakeBackend(options = {}) {
+  const {sources = {}, failSetup = false, ...defaults} = options
+  const settings = {...DEFAULTS, ...defaults}
+  const clock = makeClock()
+  const sounds = {}
+  let nextId = 0
+
+  const onDestruct = sound => {
+    delete sounds[sound.id]
+  }
+
+  return {
+    sounds,
+    setup: (onready, ontimeout) => failSetup ? ontimeout() : onready(),
+    createSound: soundOptions => {
+      const id = soundOptions.id || `sound${nextId++}`
+      const script = {...settings, ...sources[soundOptions.url]}
+      sounds[id] = createFakeSound(id, soundOptions, {
+        clock,
+        script,
+        onDestruct,
+      })
+      return sounds[id]
+    },
+    advance: ms => clock.advance(ms),
+    now: () => clock.now,
+    setTimeout: (fn, ms) => clock.schedule(ms, fn),
+    clearTimeout: timer => clock.cancel(timer),
+    ...makeGlobalActions(sounds),
+  }
+}
+
+export {makeFakeBackend}
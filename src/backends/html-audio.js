@@ -0,0 +1,205 @@
+import {
+  callback,
+  togglePause,
+  makeGlobalActions,
+  makePositionCallbacks,
+} from './common'
+
+const PITCH_PROPERTIES = [
+  `preservesPitch`,
+  `mozPreservesPitch`,
+  `webkitPreservesPitch`,
+]
+
+function timeRanges(ranges) {
+  const result = []
+  for (let i = 0; i < ranges.length; i++) {
+    result.push({start: ranges.start(i) * 1000, end: ranges.end(i) * 1000})
+  }
+  return result
+}
+
+function createHTMLAudioSound(id, options, onDestruct) {
+  const audio = new window.Audio()
+  const state = {
+    playState: 0,
+    paused: false,
+    readyState: 1,
+    isBuffering: false,
+  }
+  const listeners = {}
+
+  const sound = {
+    id,
+    url: options.url,
+    get position() { return audio.currentTime * 1000 },
+    get duration() {
+      return isFinite(audio.duration) ? audio.duration * 1000 : null
+    },
+    get muted() { return audio.muted },
+    get volume() { return Math.round(audio.volume * 100) },
+    get paused() { return state.paused },
+    get playState() { return state.playState },
+    get readyState() { return state.readyState },
+    // The element does not say how many bytes it has, only which parts of
+    // the sound it has buffered.
+    bytesLoaded: null,
+    bytesTotal: null,
+    get buffered() { return timeRanges(audio.buffered) },
+    get isBuffering() { return state.isBuffering },
+
+    pause() {
+      if (state.playState !== 1 || state.paused) { return }
+      audio.pause()
+      state.paused = true
+      callback(sound, options, `onpause`)
+    },
+    togglePause() { togglePause(sound) },
+    setVolume(volume) { audio.volume = volume / 100 },
+    mute() { audio.muted = true },
+    unmute() { audio.muted = false },
+    toggleMute() { audio.muted = !audio.muted },
+    setPlaybackRate(rate, preservePitch) {
+      // Set as the default too, so that it outlasts a reconnect.
+      audio.defaultPlaybackRate = rate
+      audio.playbackRate = rate
+      PITCH_PROPERTIES.forEach(name => audio[name] = preservePitch)
+    },
+    destruct() {
+      Object.keys(listeners).forEach(name =>
+        audio.removeEventListener(name, listeners[name]))
+      audio.pause()
+      audio.removeAttribute(`src`)
+      audio.load()
+      onDestruct(sound)
+    },
+  }
+
+  function setBuffering(isBuffering) {
+    if (state.isBuffering === isBuffering) { return }
+    state.isBuffering = isBuffering
+    callback(sound, options, `onbufferchange`)
+  }
+
+  const positions = makePositionCallbacks(sound)
+
+  // Browsers reject `play()` when they will not or cannot play, which stops
+  // and fails the sound.
+  function playAudio() {
+    const playing = audio.play()
+    if (playing && playing.catch) {
+      playing.catch(() => {
+        state.playState = 0
+        state.paused = false
+        callback(sound, options, `onfailure`)
+      })
+    }
+  }
+
+  Object.assign(sound, {
+    play() {
+      state.playState = 1
+      state.paused = false
+      playAudio()
+      callback(sound, options, `onplay`)
+    },
+    resume() {
+      if (!state.paused) { return }
+      state.paused = false
+      playAudio()
+      callback(sound, options, `onresume`)
+    },
+    reconnect() {
+      audio.src = options.url
+      audio.load()
+      state.playState = 1
+      state.paused = false
+      playAudio()
+    },
+    stop() {
+      if (state.playState !== 1) { return }
+      audio.pause()
+      audio.currentTime = 0
+      state.playState = 0
+      state.paused = false
+      positions.reset(0)
+      callback(sound, options, `onstop`)
+    },
+    setPosition(position) {
+      audio.currentTime = position / 1000
+      positions.reset(position)
+    },
+    onPosition: positions.onPosition,
+    clearOnPosition: positions.clearOnPosition,
+  })
+
+  Object.assign(listeners, {
+    progress: () => callback(sound, options, `whileloading`),
+    waiting: () => setBuffering(true),
+    playing: () => setBuffering(false),
+    canplaythrough: () => {
+      if (state.readyState === 3) { return }
+      state.readyState = 3
+      callback(sound, options, `onload`)
+    },
+    error: () => {
+      if (state.readyState === 3) {
+        state.playState = 0
+        callback(sound, options, `onfailure`)
+        return
+      }
+      state.readyState = 2
+      callback(sound, options, `onload`)
+    },
+    ended: () => {
+      positions.process()
+      state.playState = 0
+      state.paused = false
+      positions.reset(0)
+      callback(sound, options, `onfinish`)
+    },
+    timeupdate: () => {
+      if (state.playState === 1 && !state.paused) {
+        positions.process()
+        callback(sound, options, `whileplaying`)
+      }
+    },
+  })
+
+  Object.keys(listeners).forEach(name =>
+    audio.addEventListener(name, listeners[name]))
+
+  audio.preload = options.autoLoad === false ? `none` : `auto`
+  audio.src = options.url
+  if (typeof options.volume === `number`) { sound.setVolume(options.volume) }
+  if (options.autoPlay) { sound.play() }
+
+  return sound
+}
+
+/**
+* A backend that plays audio with a native `HTMLAudioElement` per sound. It
+* needs no Flash or SoundManager2, but can only play the formats the browser
+* itself supports.
+*
+* @return {Object} a backend to pass to `makeAudioDriver`.
+* @function makeHTMLAudioBackend
+**/
+function makeHTMLAudioBackend() {
+  const sounds = {}
+  let nextId = 0
+
+  return {
+    setup: onready => setTimeout(onready),
+    createSound: options => {
+      const id = options.id || `sound${nextId++}`
+      sounds[id] = createHTMLAudioSound(id, options, sound => {
+        delete sounds[sound.id]
+      })
+      return sounds[id]
+    },
+    ...makeGlobalActions(sounds),
+  }
+}
+
+export {makeHTMLAudioBackend}
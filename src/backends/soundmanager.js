@@ -0,0 +1,63 @@
+const GLOBAL_ACTIONS = [`pauseAll`, `resumeAll`, `stopAll`, `mute`, `unmute`]
+
+// SoundManager2 can only change the rate of HTML5 sounds, so Flash sounds
+// go without, and HTML5 sounds get the option to keep their pitch.
+function adaptPlaybackRate(sound) {
+  const setPlaybackRate = sound.setPlaybackRate
+
+  if (!sound.isHTML5 || typeof setPlaybackRate !== `function`) {
+    delete sound.setPlaybackRate
+    return
+  }
+
+  sound.setPlaybackRate = (rate, preservePitch) => {
+    setPlaybackRate.call(sound, rate)
+    if (sound._a) { sound._a.preservesPitch = preservePitch }
+  }
+}
+
+/**
+* A backend that plays audio with SoundManager2, falling back to Flash where
+* the browser cannot play a format natively. This is the default backend.
+*
+* @param {Object} options - SoundManager2 setup options.
+* @param {Object} soundManager - the `soundManager` to play with, which is
+* SoundManager2's own unless one is given, such as a stand-in for tests.
+* @return {Object} a backend to pass to `makeAudioDriver`.
+* @function makeSoundManagerBackend
+**/
+function makeSoundManagerBackend(options = {}, soundManager = null) {
+  // Required here so that apps using another backend never load
+  // SoundManager2, which touches `window` as soon as it is evaluated.
+  const sm2 = soundManager || require(`soundmanager2`).soundManager
+
+  sm2.setupOptions.url = `/node_modules/soundmanager2/swf/`
+  Object.keys(options).forEach(key =>
+    sm2.setupOptions[key] = options[key])
+
+  const backend = {
+    setup: (onready, ontimeout) => sm2.setup({onready, ontimeout}),
+    createSound: soundOptions => {
+      const sound = sm2.createSound(soundOptions)
+      // Unloading closes the dropped connection, and playing opens another.
+      if (sound) {
+        sound.reconnect = () => {
+          sound.unload()
+          sound.play()
+        }
+        adaptPlaybackRate(sound)
+        // Only Flash sounds pan. HTML5 sounds keep `setPan`, as `play()`
+        // calls it, but just store the value.
+        sound.canPan = !sound.isHTML5
+      }
+      return sound
+    },
+  }
+
+  GLOBAL_ACTIONS.forEach(action =>
+    backend[action] = () => sm2[action]())
+
+  return backend
+}
+
+export {makeSoundManagerBackend}
@@ -0,0 +1,284 @@
+import {
+  callback,
+  togglePause,
+  makeGlobalActions,
+  makePositionCallbacks,
+} from './common'
+
+const TICK_INTERVAL = 50
+
+function loadBuffer(context, url, handlers) {
+  const {onprogress, onload} = handlers
+  const request = new window.XMLHttpRequest()
+  request.open(`GET`, url)
+  request.responseType = `arraybuffer`
+  request.onprogress = onprogress
+  request.onload = () => {
+    if (request.status >= 400) { return onload(null) }
+    return context.decodeAudioData(request.response,
+      buffer => onload(buffer),
+      () => onload(null))
+  }
+  request.onerror = () => onload(null)
+  request.send()
+}
+
+// Browsers start a context suspended until the page has been interacted
+// with, and it then stays suspended until resumed.
+function wake(context) {
+  if (context.state !== `suspended`) { return }
+  const resuming = context.resume()
+  if (resuming && resuming.catch) { resuming.catch(() => null) }
+}
+
+function createWebAudioSound(id, options, backend) {
+  const {context, onDestruct} = backend
+  const gain = context.createGain()
+  const panner = context.createStereoPanner ?
+    context.createStereoPanner() :
+    null
+  const state = {
+    playState: 0,
+    paused: false,
+    readyState: 1,
+    buffer: null,
+    source: null,
+    timer: null,
+    startedAt: 0,
+    offset: 0,
+    volume: 100,
+    muted: false,
+    pendingPlay: false,
+    destroyed: false,
+    bytesLoaded: null,
+    bytesTotal: null,
+    rate: 1,
+    pan: 0,
+  }
+
+  if (panner) {
+    gain.connect(panner)
+    panner.connect(context.destination)
+  } else {
+    gain.connect(context.destination)
+  }
+
+  function elapsed() {
+    return (context.currentTime - state.startedAt) * 1000
+  }
+
+  function applyVolume() {
+    gain.gain.value = state.muted ? 0 : state.volume / 100
+  }
+
+  const sound = {
+    id,
+    url: options.url,
+    get position() {
+      const running = state.source && !state.paused
+      return running ? state.offset + elapsed() * state.rate : state.offset
+    },
+    get duration() {
+      return state.buffer ? state.buffer.duration * 1000 : null
+    },
+    get muted() { return state.muted },
+    get volume() { return state.volume },
+    get pan() { return state.pan },
+    get paused() { return state.paused },
+    get playState() { return state.playState },
+    get readyState() { return state.readyState },
+    get bytesLoaded() { return state.bytesLoaded },
+    get bytesTotal() { return state.bytesTotal },
+    // A decoded buffer is all there, so a sound never waits on its download.
+    get buffered() {
+      return state.buffer ? [{start: 0, end: sound.duration}] : []
+    },
+    isBuffering: false,
+  }
+
+  function halt() {
+    if (!state.source) { return }
+    state.source.onended = null
+    state.source.stop()
+    state.source = null
+    clearInterval(state.timer)
+  }
+
+  const positions = makePositionCallbacks(sound)
+
+  function finish() {
+    halt()
+    state.offset = sound.duration
+    positions.process()
+    state.playState = 0
+    state.offset = 0
+    positions.reset(0)
+    callback(sound, options, `onfinish`)
+  }
+
+  function start() {
+    state.source = context.createBufferSource()
+    state.source.buffer = state.buffer
+    state.source.playbackRate.value = state.rate
+    state.source.connect(gain)
+    state.source.onended = finish
+    state.source.start(0, state.offset / 1000)
+    state.startedAt = context.currentTime
+    state.timer = setInterval(() => {
+      positions.process()
+      callback(sound, options, `whileplaying`)
+    }, TICK_INTERVAL)
+  }
+
+  // A sound played or resumed before it has decoded starts once it has.
+  function startWhenDecoded() {
+    if (state.buffer) {
+      start()
+    } else {
+      state.pendingPlay = true
+    }
+  }
+
+  Object.assign(sound, {
+    play() {
+      if (state.playState === 1 && !state.paused) { return }
+      state.playState = 1
+      state.paused = false
+      wake(context)
+      startWhenDecoded()
+      callback(sound, options, `onplay`)
+    },
+    pause() {
+      if (state.playState !== 1 || state.paused) { return }
+      state.offset = sound.position
+      halt()
+      state.paused = true
+      callback(sound, options, `onpause`)
+    },
+    resume() {
+      if (!state.paused) { return }
+      state.paused = false
+      wake(context)
+      startWhenDecoded()
+      callback(sound, options, `onresume`)
+    },
+    togglePause() { togglePause(sound) },
+    stop() {
+      if (state.playState !== 1) { return }
+      halt()
+      state.playState = 0
+      state.paused = false
+      state.pendingPlay = false
+      state.offset = 0
+      positions.reset(0)
+      callback(sound, options, `onstop`)
+    },
+    setPosition(position) {
+      state.offset = Math.max(0, Math.min(position, sound.duration || 0))
+      positions.reset(state.offset)
+      if (state.source) {
+        halt()
+        start()
+      }
+    },
+    setVolume(volume) {
+      state.volume = volume
+      applyVolume()
+    },
+    mute() {
+      state.muted = true
+      applyVolume()
+    },
+    unmute() {
+      state.muted = false
+      applyVolume()
+    },
+    toggleMute() {
+      state.muted = !state.muted
+      applyVolume()
+    },
+    // Buffer sources resample to change rate, so the pitch always changes
+    // with it.
+    setPlaybackRate(rate) {
+      if (state.source) {
+        state.offset = sound.position
+        state.startedAt = context.currentTime
+        state.source.playbackRate.value = rate
+      }
+      state.rate = rate
+    },
+    onPosition: positions.onPosition,
+    clearOnPosition: positions.clearOnPosition,
+    destruct() {
+      halt()
+      state.destroyed = true
+      gain.disconnect()
+      if (panner) { panner.disconnect() }
+      onDestruct(sound)
+    },
+  })
+
+  loadBuffer(context, options.url, {
+    onprogress: evt => {
+      if (state.destroyed) { return }
+      state.bytesLoaded = evt.loaded
+      state.bytesTotal = evt.lengthComputable ? evt.total : null
+      callback(sound, options, `whileloading`)
+    },
+    onload: buffer => {
+      if (state.destroyed) { return }
+      state.buffer = buffer
+      state.readyState = buffer ? 3 : 2
+      callback(sound, options, `onload`)
+      if (buffer && state.pendingPlay && !state.paused) { start() }
+      state.pendingPlay = false
+    },
+  })
+
+  if (panner) {
+    sound.setPan = pan => {
+      state.pan = pan
+      panner.pan.value = pan / 100
+    }
+  }
+
+  if (typeof options.volume === `number`) { sound.setVolume(options.volume) }
+  if (panner && typeof options.pan === `number`) { sound.setPan(options.pan) }
+  if (options.autoPlay) { sound.play() }
+
+  return sound
+}
+
+/**
+* A backend that decodes each file into an `AudioBuffer` and plays it through
+* an `AudioBufferSourceNode`. Playback is sample accurate, at the cost of
+* downloading and decoding each file completely before it can play. A context
+* the browser has suspended is resumed when a sound plays.
+*
+* @param {Object} options - `context` may be an existing `AudioContext` to
+* play through, otherwise a new one is created.
+* @return {Object} a backend to pass to `makeAudioDriver`.
+* @function makeWebAudioBackend
+**/
+function makeWebAudioBackend(options = {}) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  const context = options.context || new AudioContext()
+  const sounds = {}
+  let nextId = 0
+
+  const onDestruct = sound => {
+    delete sounds[sound.id]
+  }
+
+  return {
+    setup: onready => setTimeout(onready),
+    createSound: soundOptions => {
+      const id = soundOptions.id || `sound${nextId++}`
+      sounds[id] = createWebAudioSound(id, soundOptions, {context, onDestruct})
+      return sounds[id]
+    },
+    ...makeGlobalActions(sounds),
+  }
+}
+
+export {makeWebAudioBackend}
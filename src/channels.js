@@ -0,0 +1,45 @@
+import {isPlaying} from './events'
+
+const DEFAULT_CHANNEL = `default`
+
+// How many sounds may play at once in a channel: `exclusive` (the default)
+// allows one, `mix` any number, and a number that many.
+function channelLimit(policy) {
+  if (policy === `mix`) { return Infinity }
+  if (typeof policy === `number` && policy > 0) { return policy }
+  return 1
+}
+
+function makeChannels(policies = {}) {
+  const playOrder = []
+
+  function forget(sound) {
+    const index = playOrder.indexOf(sound)
+    if (index !== -1) { playOrder.splice(index, 1) }
+  }
+
+  return {
+    forget,
+
+    // Pauses the longest playing sounds in the sound's channel, so that the
+    // channel stays within its limit once the sound starts. Sounds in
+    // `except` are left alone, and don't count towards the limit.
+    makeRoom(sound, except = []) {
+      const limit = channelLimit(policies[sound.channel])
+      const playing = playOrder.filter(other => other !== sound &&
+        other.channel === sound.channel && isPlaying(other) &&
+        except.indexOf(other) === -1)
+
+      playing
+        .slice(0, Math.max(0, playing.length - limit + 1))
+        .forEach(other => other.pause())
+    },
+
+    played(sound) {
+      forget(sound)
+      playOrder.push(sound)
+    },
+  }
+}
+
+export {DEFAULT_CHANNEL, makeChannels}
@@ -0,0 +1,30 @@
+const ERROR_MESSAGES = {
+  SOUND_NOT_FOUND: `Could not find sound`,
+  DUPLICATE_ID: `A sound with this id is already loaded`,
+  MISSING_SRC: `Sound src must be set`,
+  CREATE_FAILED: `Could not create sound`,
+  LOAD_FAILED: `Could not load or decode sound`,
+  PLAYBACK_FAILED: `Sound failed to play`,
+  CONNECTION_LOST: `Lost the connection to the stream`,
+  NOT_SEEKABLE: `Live streams cannot seek`,
+  UNSUPPORTED_RATE: `The backend cannot change the rate of this sound`,
+  UNKNOWN_SPRITE: `Sound has no such sprite`,
+  UNSUPPORTED_PAN: `The backend cannot pan this sound`,
+  SETUP_TIMEOUT: `Audio backend did not start in time`,
+  UNSUPPORTED_ACTION: `Unsupported action`,
+  INVALID_COMMAND: `Invalid command`,
+}
+
+function defaultMessage(code, command) {
+  const detail = code === `UNSUPPORTED_ACTION` && command ?
+    ` "${command.action}"` :
+    ``
+
+  return `${ERROR_MESSAGES[code]}${detail}`
+}
+
+function makeError(code, command, message = defaultMessage(code, command)) {
+  return {code, message, command}
+}
+
+export {ERROR_MESSAGES, makeError}
@@ -0,0 +1,46 @@
+// Whether a sound is playing, as its events report it.
+function isPlaying(sound) {
+  return !sound.paused && sound.playState === 1
+}
+
+function makeSoundEvent(sound, event) {
+  return {
+    id: sound.id,
+    //sound: sound,
+    event: event,
+    position: sound.position,
+    duration: sound.live ? null : sound.duration,
+    muted: sound.muted,
+    volume: sound.muted ? 0 : sound.ownVolume,
+    rate: sound.rate || 1,
+    pan: sound.pan || 0,
+    paused: sound.paused,
+    playing: isPlaying(sound),
+    loaded: sound.readyState === 3,
+    live: Boolean(sound.live),
+    bytesLoaded: sound.bytesLoaded,
+    bytesTotal: sound.bytesTotal,
+    buffered: (sound.buffered || [])
+      .map(range => ({start: range.start, end: range.end})),
+    buffering: Boolean(sound.isBuffering),
+    src: sound.url,
+    scope: sound.scope,
+    channel: sound.channel,
+    bus: sound.bus,
+    track: sound.track,
+    sprite: sound.sprite || null,
+    metadata: sound.tags || null,
+  }
+}
+
+function makeSoundError(sound, error) {
+  return {
+    id: sound.id,
+    event: `error`,
+    scope: sound.scope,
+    src: sound.url,
+    error,
+  }
+}
+
+export {isPlaying, makeSoundEvent, makeSoundError}
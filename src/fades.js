@@ -0,0 +1,71 @@
+const FADE_STEP = 25
+const STEEPNESS = 4
+
+// Each curve gives how much of the change in volume is done at time `t`
+// (0 - 1). Rising fades and falling fades use mirrored shapes, so that a
+// fade in and a fade out on the same curve cross over evenly.
+const CURVES = {
+  linear: t => t,
+  exponential: (t, rising) => rising ?
+    (Math.exp(STEEPNESS * t) - 1) / (Math.exp(STEEPNESS) - 1) :
+    (1 - Math.exp(-STEEPNESS * t)) / (1 - Math.exp(-STEEPNESS)),
+  'equal-power': (t, rising) => rising ?
+    Math.sin(t * Math.PI / 2) :
+    1 - Math.cos(t * Math.PI / 2),
+}
+
+function fadeVolume(fade, t) {
+  const {from, to, curve} = fade
+  const shape = CURVES[curve] || CURVES.linear
+  return Math.round(from + (to - from) * shape(Math.min(t, 1), to > from))
+}
+
+function makeFader({timers, setVolume, onStart, onEnd}) {
+  const fades = {}
+
+  function cancel(sound) {
+    const fade = fades[sound.id]
+    if (!fade) { return }
+
+    timers.clearTimeout(fade.timer)
+    delete fades[sound.id]
+  }
+
+  function start(sound, options) {
+    cancel(sound)
+
+    const fade = {
+      from: sound.ownVolume,
+      ...options,
+      startedAt: timers.now(),
+      timer: null,
+    }
+
+    function step() {
+      const elapsed = timers.now() - fade.startedAt
+      const t = fade.duration > 0 ? elapsed / fade.duration : 1
+      setVolume(sound, fadeVolume(fade, t))
+
+      if (t >= 1) {
+        delete fades[sound.id]
+        onEnd(sound, fade)
+      } else {
+        fade.timer = timers.setTimeout(step, FADE_STEP)
+      }
+    }
+
+    fades[sound.id] = fade
+    onStart(sound, fade)
+    step()
+  }
+
+  return {
+    start,
+    cancel,
+    handleEvent(evt) {
+      if (evt.event === `unload`) { cancel({id: evt.id}) }
+    },
+  }
+}
+
+export {CURVES, makeFader}
@@ -1,21 +1,42 @@
-import {soundManager} from 'soundmanager2'
-import {Observable} from 'rx'
 import RxAdapter from '@cycle/rx-adapter'
+import {isPlaying, makeSoundEvent, makeSoundError} from './events'
+import {makeError} from './errors'
+import {commandSchema, commandKind, validateCommand} from './schema'
+import {withinScope, scopedId} from './isolate'
+import {makeAudioSource} from './source'
+import {subscribeAny, makeBroadcast} from './observable'
+import {makeQueuePlayer} from './queue'
+import {makeReconciler} from './reconcile'
+import {DEFAULT_CHANNEL, makeChannels} from './channels'
+import {makeRegistry} from './registry'
+import {makeFader} from './fades'
+import {timersFor} from './timers'
+import {makeProgressThrottle} from './progress'
+import {mergeMetadata} from './metadata'
+import {makeReconnector} from './streams'
+import {loopSettings, makeLooper} from './loops'
+import {spriteOf, makeSpritePlayer} from './sprites'
+import {makeMixer} from './mixer'
+import {mockAudioSource, mockAudioDriver} from './mock'
+import {makeSoundManagerBackend} from './backends/soundmanager'
+import {makeHTMLAudioBackend} from './backends/html-audio'
+import {makeWebAudioBackend} from './backends/web-audio'
+import {makeFakeBackend} from './backends/fake'
 
 /**
 * ## SoundManager2 Driver
 *
 * This is an audio driver for Cycle.js. It uses SoundManager2 to play audio.
-* It takes an Observable of sound commands as input and returns an Observable
-* of sound events.
+* It takes a stream of sound commands as input and returns a stream of sound
+* events.
 *
 * ### Example usage
 *
 * ```
-* const loadAudio$ = Observable.of({src: url_to_audio})
-* const audioId$ = sources.audio
-*   .filter(audio => audio.src === url_to_audio).pluck('id')
-* const playAudio$ = audioId$.map(id => ({id: id, action: 'play'}))
+* const loadAudio$ = Observable.of({src: url_to_audio, id: 'theme'})
+* const playAudio$ = sources.audio
+*   .filter(audio => audio.id === 'theme' && audio.event === 'load')
+*   .map(() => ({id: 'theme', action: 'play'}))
 *
 * return {
 *   audio: Observable.merge(
@@ -24,14 +45,72 @@ import RxAdapter from '@cycle/rx-adapter'
 *   )
 * }
 * ```
+*
+* ### Stream libraries
+*
+* The driver works with whichever stream library the app is written with.
+* Run with `run` from `@cycle/xstream-run`, `@cycle/most-run`,
+* `@cycle/rxjs-run` or `@cycle/rx-run`, it takes commands in the app's
+* streams, and its source, and everything selected from it, are streams of
+* the app's library. Called without a stream adapter, as older versions of
+* Cycle do, its source is an RxJS 4 Observable.
+*
+* ### Testing
+*
+* `mockAudioDriver(scheduler, timeline)` stands in for the driver in app
+* tests. It records the commands the app sends and emits scripted sound
+* events, shaped exactly like the real ones, on an Rx `TestScheduler`.
+* `mockAudioSource(scheduler, timeline)` builds just the source.
 **/
 
 /**
 * A factory for the audio driver.
 *
-* @return {audioDriver} the audio driver function. The function expects an
-* Observable of command objects as input, and outputs an Observable of sound
-* event objects.
+* Sounds are played by a backend. By default that is SoundManager2, and any
+* options given are passed on to its setup. To play through another backend
+* pass it as `backend`:
+*
+* ```
+* makeAudioDriver({backend: makeHTMLAudioBackend()})
+* ```
+*
+* A backend is an object with `setup(onready, ontimeout)`,
+* `createSound(options)` and the global actions `pauseAll`, `resumeAll` and
+* `stopAll`.
+* `createSound` takes SoundManager2 sound options and returns an object that
+* behaves like a SoundManager2 sound, which may also have a `reconnect()`
+* method to open a dropped stream again. Sounds without `setPan`, or with
+* `canPan` set to false, cannot pan. The driver ships
+* `makeSoundManagerBackend`, `makeHTMLAudioBackend` and `makeWebAudioBackend`,
+* plus `makeFakeBackend`, which plays against a virtual clock for tests.
+* Backends with a clock of their own also provide `now()`,
+* `setTimeout(fn, ms)` and `clearTimeout(timer)`, which the driver then times
+* fades with.
+*
+* Sounds play in named channels, chosen when they are loaded. Starting a sound
+* pauses other sounds in its channel according to the channel's policy:
+* `'exclusive'` lets one sound play at a time, `'mix'` lets any number play,
+* and a number lets that many play, pausing the longest playing first.
+* Channels are exclusive unless set in `channels`:
+*
+* ```
+* makeAudioDriver({channels: {music: 'exclusive', sfx: 'mix', voice: 2}})
+* ```
+*
+* To bound the number of loaded sounds set `maxSounds`. Loading beyond it
+* unloads the least recently used sounds that are not playing.
+*
+* Playing sounds emit a `playing` event on every tick of the backend. To emit
+* fewer set `playingEvents` to `{interval: 250}`, to wait at least that many
+* ms between events, or `{delta: 1000}`, to wait until the position has
+* moved that many ms, or both. `playingEvents: false` emits none. Sounds can
+* override it with `playingEvents` when loaded or in a later command.
+*
+* @param {Object} options - SoundManager2 setup options, or a `backend`, and
+* the `channels` policies, `maxSounds` limit and `playingEvents` throttle.
+* @return {audioDriver} the audio driver function. The function expects a
+* stream of command objects as input, and outputs a stream of sound event
+* objects.
 *
 * @function makeAudioDriver
 *
@@ -43,10 +122,178 @@ import RxAdapter from '@cycle/rx-adapter'
 * **Commands** To use the driver the first sound command should load an audio
 * file and be in the form ```{src: 'url_to_file.mp3'}```.
 *
-* - Load: {src: url_to_file}
+* - Load: {src: url_to_file, channel: 'sfx', loop: true, playingEvents: false}
+* - Load with an id: {src: url_to_file, id: 'theme'}
 * - Play: {id: id, action: 'play'}
 * - Pause: {id: id, action: 'pause'}
 * - Stop: {id: id, action: 'stop'}
+* - Unload: {id: id, action: 'unload'}
+* - Rate: {id: id, rate: 1.5, preservePitch: true}
+* - Pan: {id: id, pan: -50}
+* - Loop: {id: id, loop: true|3|false, loopStart: 1000, loopEnd: 4000}
+* - Cues: {id: id, cues: [{name: 'slide2', position: 12000}]}
+* - Play a sprite: {id: id, action: 'play', sprite: 'coin'}
+*
+* A load command may choose the sound's `id`, which later commands address
+* it by and its events carry, so the same file can be loaded more than once
+* and played without waiting for its `load` event. Loading a second sound
+* with an `id` already in use in its scope is a `DUPLICATE_ID` error.
+* Sounds loaded without one are given the first free id such as `'sound0'`.
+*
+* A `rate` of 1 is normal speed. Sounds keep their pitch at other rates,
+* unless `preservePitch` is false, where the backend can: the Web Audio
+* backend always shifts the pitch. SoundManager2 limits rates to 0.5 - 4, and
+* cannot change the rate of Flash sounds, which is an `UNSUPPORTED_RATE`
+* error.
+*
+* A `pan` from -100, full left, to 100, full right, places a sound in the
+* stereo field, and may also be given when it is loaded. Only SoundManager2's
+* Flash sounds and the Web Audio backend can pan; elsewhere it is an
+* `UNSUPPORTED_PAN` error.
+*
+* Fades change a sound's volume over `duration` ms, 1000 by default:
+*
+* - Fade in: {id: id, action: 'fadeIn', duration: 2000, volume: 80}
+* - Fade out: {id: id, action: 'fadeOut', then: 'stop|pause'}
+* - Fade to: {id: id, action: 'fadeTo', volume: 30, curve: 'exponential'}
+* - Crossfade: {id: id, action: 'crossfade', to: other_id}
+*
+* A fade in starts the sound from silence and rises to `volume`, or the
+* sound's own volume. A fade out stops the sound when it ends, or pauses it
+* with `then: 'pause'`, and a fade to with `then` does the same. Both put
+* its volume back for the next time it plays.
+* A crossfade fades `id` out, stopping it unless `then` says otherwise, while
+* fading `to` in, without the channel pausing either. The `curve` is
+* `'linear'`, `'exponential'` or `'equal-power'`; crossfades default to
+* `'equal-power'`, the others to `'linear'`. A new fade, or a `volume`
+* command, takes over from a fade already running on the sound. Each fade
+* emits a `fadestart` and a `fadeend` event.
+*
+* Sounds loop when loaded or sent `loop`: `true` loops forever, a number
+* plays the sound that many times and `false` stops looping. With
+* `loopStart` and `loopEnd`, in ms, only that segment repeats, and giving
+* them without `loop` repeats it until `loop: false`. A `loop` event is
+* emitted each time playback wraps around, in place of `finish`.
+*
+* Sprites are named segments of one file, given in ms when it is loaded:
+*
+* ```
+* {src: url_to_effects, sprite: {jump: [0, 400], coin: [500, 800]}}
+* ```
+*
+* Playing a sprite plays just that segment, and emits `finish` with the
+* sprite's name as `sprite` when it ends. Events for a sound playing a sprite
+* carry its name. A sound plays one sprite at a time, so load the file again
+* for sprites that overlap. Naming a sprite the sound does not have is an
+* `UNKNOWN_SPRITE` error.
+*
+* Cue points, given when a sound is loaded or in a later command, emit a
+* `cue` event with the cue's `name` as `cue` when playback reaches them. New
+* cues replace the sound's old ones. Like SoundManager2's `onPosition`, which
+* backs them, each cue fires once; seeking back before it, stopping or
+* looping arms it again, and seeking past it fires it on the next tick.
+*
+* Live streams, such as internet radio, are loaded with `stream: true`:
+*
+* ```
+* {src: url_to_stream, stream: true, reconnect: {attempts: 5, delay: 1000}}
+* ```
+*
+* Their events have `live: true` and a `null` duration, and seeking them is
+* an error. When the connection drops the driver emits `reconnecting` and
+* opens the stream again, waiting `delay` ms longer before each attempt, and
+* emits `reconnected` once it plays again. After `attempts` failed attempts,
+* or straight away with `reconnect: false`, it gives up with a
+* `CONNECTION_LOST` error. Title changes arrive as `metadata` events.
+*
+* Unloading destroys the sound and emits an `unload` event for it. Without an
+* `id`, `{action: 'unload'}` unloads every sound, or when sent through an
+* isolated sink every sound loaded within that scope. `destroy` is the same
+* as `unload`.
+*
+* **Isolation** Components isolated with Cycle's `isolate` only see and
+* control their own sounds, and those of the components nested within them.
+* Their source only emits the events of those sounds, and their sink's
+* commands cannot reach other sounds, which are `SOUND_NOT_FOUND` to them.
+* An `id` chosen on load only has to be unique within its scope: outside it
+* the sound is known by the id prefixed with the scopes it was loaded in,
+* such as `'player/theme'` for `'theme'` loaded within `'player'`. Sent
+* through an isolated sink, `pauseAll`, `resumeAll`, `stopAll`, `mute` and
+* `unmute` only act on the scope's sounds, emitting an `update` for each.
+*
+* **Queue** The driver keeps a play queue of sources, and each isolated
+* scope sending queue commands a queue of its own. Queue commands are
+* addressed with a `queue` key instead of an `id`:
+*
+* - Enqueue: {queue: 'enqueue', src: url_or_urls, at: index}
+* - Replace: {queue: 'replace', src: [url, url]}
+* - Remove: {queue: 'remove', src: url} or {queue: 'remove', index: 2}
+* - Reorder: {queue: 'move', from: 0, to: 3}
+* - Navigate: {queue: 'next'}, {queue: 'previous'},
+*   {queue: 'jumpTo', index: 2}
+* - Shuffle: {queue: 'shuffle', enabled: true}
+* - Repeat: {queue: 'repeat', mode: 'none|one|all'}
+*
+* When the current queue item finishes the queue moves on by itself. The
+* sounds of items that `replace` or `remove` drop are unloaded. Each queue
+* command, and each move, emits a queue event alongside the normal sound
+* events for the item being played:
+*
+* ```
+* {
+*   event: 'queue',
+*   index: 0, // -1 when nothing is selected
+*   items: [url, url],
+*   shuffle: false,
+*   repeat: 'none',
+*   id: 'sound0', // the sound playing the current item
+*   src: url
+* }
+* ```
+*
+* **Mixer** Every sound plays through a master level, and through a named
+* bus when loaded with one, such as `{src: url, bus: 'music'}`. Mixer
+* commands are addressed with a `mixer` key, and set the master level, or
+* the `bus` given:
+*
+* - Volume: {mixer: 'volume', volume: 80, bus: 'music'}
+* - Mute: {mixer: 'mute', bus: 'sfx'}, {mixer: 'unmute'},
+*   {mixer: 'toggleMute'}
+*
+* A sound plays at its own volume scaled by its bus's and the master's, so
+* a sound at 50 on a bus at 50 plays at 25. Events keep reporting the
+* sound's own `volume`, and `{action: 'mute'}` and `{action: 'unmute'}`,
+* unless sent through an isolated sink, mute the master level. Mixer
+* commands sent through an isolated sink set the levels of a mix of the
+* scope's own, which its sounds play through on top of the app's. Each mixer
+* command emits the levels it set:
+*
+* ```
+* {
+*   event: 'mixer',
+*   volume: 100,
+*   muted: false,
+*   buses: {music: {volume: 80, muted: false}}
+* }
+* ```
+*
+* **State** Instead of sending commands, an app can send snapshots of the
+* tracks it wants, keyed by name. The driver compares each snapshot with its
+* sounds, loading, playing, pausing, seeking and unloading them to match:
+*
+* ```
+* {
+*   tracks: {
+*     intro: {src: url, playing: true, volume: 60, position: 0},
+*     rain: {src: url, playing: false, channel: 'ambience'}
+*   }
+* }
+* ```
+*
+* Tracks left out of a snapshot are unloaded, and a track whose `src` changes
+* is loaded again. As positions move on by themselves, a track only seeks
+* when its `position` differs from the previous snapshot. Each isolated scope
+* keeps its own tracks. Events for a track carry its name as `track`.
 *
 * **Events**
 *
@@ -54,79 +301,258 @@ import RxAdapter from '@cycle/rx-adapter'
 * {
 *   id: 'sound0',
 *   sound: {SoundObject},
-*   event: 'load|play|pause|stop|playing|finish|update',
+*   // load, loading, buffering, buffered, metadata, play, pause, stop,
+*   // playing, finish, loop, cue, update, unload, fadestart, fadeend,
+*   // reconnecting or reconnected
+*   event: 'play',
 *   position: 1234, // ms of position
 *   duration: 2345, // ms of duration
 *   muted: false,
 *   volume: 50, // 0 - 100
+*   rate: 1,
+*   pan: 0, // -100 (left) - 100 (right)
 *   paused: false,
 *   playing: true,
-*   src: url
+*   loaded: true,
+*   live: false, // true for streams
+*   bytesLoaded: 4096, // null when the backend cannot tell
+*   bytesTotal: 8192,
+*   buffered: [{start: 0, end: 1500}], // ms ranges of the sound downloaded
+*   buffering: false,
+*   src: url,
+*   channel: 'default',
+*   bus: 'music', // the mixer bus, if any
+*   track: 'intro', // for sounds from state snapshots
+*   sprite: 'coin', // the sprite playing, or null
+*   metadata: {title, artist, album, streamTitle} // null until known
 * }
 * ```
-* @param {Observable} audio$ - An observable of audio command objects.
-* @return {Observable} - An observable of audio event objects.
+*
+* When a sound reads ID3 tags from its file, or a SHOUTcast stream sends a
+* new title, it emits a `metadata` event. Its `metadata` holds what is known
+* so far, with `null` for the rest, and later events for the sound carry it
+* too. Only the SoundManager2 backend reads metadata.
+*
+* While a sound downloads it emits `loading` events with its progress. When
+* playback has to wait for the download it emits `buffering`, and `buffered`
+* once it carries on.
+*
+* **Errors** Failures never end the stream. They are emitted as `error`
+* events, carrying the failed command where there is one:
+*
+* ```
+* {
+*   id: 'sound0', // null when no sound was created
+*   event: 'error',
+*   src: url,
+*   scope: ['player'],
+*   error: {
+*     code: 'LOAD_FAILED',
+*     message: 'Could not load or decode sound',
+*     command: {src: url}
+*   }
+* }
+* ```
+*
+* The codes are `SOUND_NOT_FOUND`, `MISSING_SRC`, `DUPLICATE_ID`,
+* `CREATE_FAILED`, `LOAD_FAILED`, `PLAYBACK_FAILED`, `CONNECTION_LOST`,
+* `NOT_SEEKABLE`, `UNSUPPORTED_RATE`, `UNSUPPORTED_PAN`, `UNKNOWN_SPRITE`,
+* `SETUP_TIMEOUT`, `UNSUPPORTED_ACTION` and `INVALID_COMMAND`.
+*
+* Every command is checked against `commandSchema` before it runs. Commands
+* with actions or fields the schema does not list, or fields of the wrong
+* type, are rejected with an error event. Both `commandSchema` and
+* `validateCommand(command)` are exported, to check sinks in tests or tools.
+*
+* **Selecting** Like the DOM driver's source, the source narrows down to
+* the events of interest:
+*
+* ```
+* sources.audio.select('theme').events('finish')
+* ```
+*
+* `select(name)` keeps the events of the sound with that `id`, the track of
+* that name, or the sounds of the isolated scope of that name, matched the
+* way `isolateSource` matches them, and can be selected from again.
+* `events(name)` keeps the events of that kind. Three shortcuts follow the
+* sounds without picking through their events:
+*
+* - `position$` emits `{id, position, duration}` from each sound event.
+* - `state$` emits `{id, state}` whenever a sound's state changes, where the
+*   state is `'loading'`, `'stopped'`, `'playing'`, `'paused'` or
+*   `'unloaded'`.
+* - `errors$` emits the `error` events.
+*
+* The source also has a `dispose()` method, which Cycle's `run` calls when the
+* app is disposed. Disposing it, or every subscription to it, stops taking
+* commands, stops and unloads the sounds it loaded and ends its events.
+*
+* @param {Observable} audio$ - A stream of audio command objects, from any
+* stream library.
+* @param {Object} streamAdapter - The stream adapter of the app's stream
+* library, which Cycle's `run` passes. RxJS 4 when not given.
+* @return {Observable} - A stream of audio event objects, in the app's
+* stream library.
 * @function audioDriver
 **/
 
-const sounds = {}
+const FADE_DURATION = 1000
+const FADE_CURVES = {
+  fadeIn: `linear`,
+  fadeOut: `linear`,
+  fadeTo: `linear`,
+  crossfade: `equal-power`,
+}
 
 function soundEvent(sound, obs, event) {
-  obs.onNext({
-    id: sound.id,
-    //sound: sound,
-    event: event,
-    position: sound.position,
-    duration: sound.duration,
-    muted: sound.muted,
-    volume: sound.muted ? 0 : sound.volume,
-    paused: sound.paused,
-    playing: !sound.paused && sound.playState === 1,
-    loaded: sound.readyState === 3,
-    src: sound.url,
-    scope: sound.scope,
-  })
+  obs.onNext(makeSoundEvent(sound, event))
 }
 
-function soundError(sound, obs) {
-  obs.onNext({
-    id: sound.id,
-    scope: sound.scope,
-    src: sound.url,
-    error: true,
+function soundError(sound, obs, error) {
+  obs.onNext(makeSoundError(sound, error))
+}
+
+function rejectCommand(context, error) {
+  const command = error.command || {}
+  const sound = {id: command.id || null, scope: command.scope, url: command.src}
+  soundError(sound, context.obs, error)
+}
+
+function commandError(context, code, command) {
+  rejectCommand(context, makeError(code, command))
+}
+
+function unloadSound(context, sound) {
+  const unloaded = {
+    ...makeSoundEvent(sound, `unload`),
+    paused: false,
+    playing: false,
+    loaded: false,
+  }
+
+  sound.destruct()
+  context.registry.remove(sound)
+  context.channels.forget(sound)
+  context.obs.onNext(unloaded)
+}
+
+function updateMetadata(sound, obs) {
+  sound.tags = mergeMetadata(sound.tags, sound)
+  soundEvent(sound, obs, `metadata`)
+}
+
+function setCues(context, sound, cues) {
+  (sound.cues || []).forEach(cue =>
+    sound.clearOnPosition(cue.position, cue.handler))
+
+  sound.cues = cues.map(cue => {
+    const handler = () =>
+      context.obs.onNext({...makeSoundEvent(sound, `cue`), cue: cue.name})
+    sound.onPosition(cue.position, handler)
+    return {...cue, handler}
   })
 }
 
-function createSound(obs, command) {
-  if (!command.src) { throw new Error(`Sound src must be set`) }
+// SoundManager2's HTML5 sounds keep `setPan`, which playing calls, but say
+// they cannot pan with `canPan`.
+function canPan(sound) {
+  return typeof sound.setPan === `function` && sound.canPan !== false
+}
 
-  const thisSound = soundManager.createSound({
+function panSound(context, sound, command) {
+  if (typeof command.pan !== `number`) { return }
+
+  if (canPan(sound)) {
+    sound.setPan(command.pan)
+  } else {
+    soundError(sound, context.obs, makeError(`UNSUPPORTED_PAN`, command))
+  }
+}
+
+function finishSound(context, sound) {
+  // Live streams never finish, so one ending has dropped.
+  if (sound.live) {
+    context.reconnector.drop(sound)
+  } else if (!context.looper.finished(sound)) {
+    soundEvent(sound, context.obs, `finish`)
+    context.sprites.clear(sound)
+  }
+}
+
+// The error code for a load command that cannot make a sound with `id`.
+function loadProblem(context, command, id) {
+  if (!command.src) { return `MISSING_SRC` }
+  return id && context.registry.get(id) ? `DUPLICATE_ID` : null
+}
+
+function createSound(context, command) {
+  const {backend, obs} = context
+  const id = command.id && scopedId(command.scope, command.id)
+  const problem = loadProblem(context, command, id)
+  if (problem) { return commandError(context, problem, command) }
+  const shouldEmitProgress = makeProgressThrottle(context.timers)
+
+  // Backends give out ids of their own that chosen ones could clash with.
+  const thisSound = backend.createSound({
+    id: id || context.registry.newId(),
     url: command.src,
     autoPlay: false,
     autoLoad: true,
     onload: () => {
       if (thisSound.readyState === 3) { soundEvent(thisSound, obs, `load`) }
-      if (thisSound.readyState === 2) { soundError(thisSound, obs) }
+      if (thisSound.readyState === 2) {
+        soundError(thisSound, obs, makeError(`LOAD_FAILED`, command))
+      }
     },
-    onfinish: () => soundEvent(thisSound, obs, `finish`),
+    onfinish: () => finishSound(context, thisSound),
     onpause: () => soundEvent(thisSound, obs, `pause`),
     onplay: () => soundEvent(thisSound, obs, `play`),
     onresume: () => soundEvent(thisSound, obs, `play`),
-    onstop: () => soundEvent(thisSound, obs, `stop`),
-    whileplaying: () => soundEvent(thisSound, obs, `playing`),
-    onfailure: (err) => soundEvent(thisSound, obs, `failure`, err),
+    onstop: () => {
+      if (!context.sprites.isEnding(thisSound)) {
+        soundEvent(thisSound, obs, `stop`)
+      }
+    },
+    onid3: () => updateMetadata(thisSound, obs),
+    onmetadata: () => updateMetadata(thisSound, obs),
+    whileloading: () => soundEvent(thisSound, obs, `loading`),
+    onbufferchange: () => soundEvent(thisSound, obs,
+      thisSound.isBuffering ? `buffering` : `buffered`),
+    whileplaying: () => {
+      context.reconnector.playing(thisSound)
+      context.looper.check(thisSound)
+      context.sprites.check(thisSound)
+      // Ending a sprite stops the sound, which has finished by now.
+      if (isPlaying(thisSound) && shouldEmitProgress(thisSound)) {
+        soundEvent(thisSound, obs, `playing`)
+      }
+    },
+    onfailure: () => thisSound.live ?
+      context.reconnector.drop(thisSound) :
+      soundError(thisSound, obs, makeError(`PLAYBACK_FAILED`, command)),
   })
 
   if (thisSound) {
     thisSound.scope = command.scope
-    sounds[thisSound.id] = thisSound
+    thisSound.channel = command.channel || DEFAULT_CHANNEL
+    thisSound.live = Boolean(command.stream)
+    thisSound.reconnection = command.reconnect
+    thisSound.looping = loopSettings(null, command)
+    thisSound.sprites = command.sprite || {}
+    context.mixer.add(thisSound, command.bus)
+    if (command.cues) { setCues(context, thisSound, command.cues) }
+    thisSound.playingEvents = `playingEvents` in command ?
+      command.playingEvents :
+      context.playingEvents
+    panSound(context, thisSound, command)
+    context.registry.add(thisSound)
+    context.registry.evictionsFor(thisSound)
+      .forEach(sound => unloadSound(context, sound))
   } else {
-    soundError({
-      scope: command.scope,
-      id: null,
-      url: command.src,
-    }, obs)
+    commandError(context, `CREATE_FAILED`, command)
   }
+
+  return thisSound
 }
 
 function setRelativePosition(sound, relative) {
@@ -134,10 +560,101 @@ function setRelativePosition(sound, relative) {
   sound.setPosition(newPosition)
 }
 
-function performCommand(obs, command) {
-  const {id, position, relative, progress, action, volume} = command
-  const sound = sounds[id]
-  if (!sound) { return obs.onError(new Error(`Could not find sound`)) }
+// The sounds a command sent with `scope` may reach: those loaded within it.
+function scopedSounds(context, scope) {
+  return context.registry.all()
+    .filter(sound => !scope || withinScope(sound.scope, scope))
+}
+
+// Finds the sound a command means by `id`. Commands from an isolated sink
+// name sounds by the id they have within its scope, and cannot reach sounds
+// outside it.
+function findSound(context, id, scope) {
+  const sound = context.registry.get(scopedId(scope, id)) ||
+    context.registry.get(id)
+  const reachable = sound && (!scope || withinScope(sound.scope, scope))
+  return reachable ? sound : null
+}
+
+// Whether an action will start a sound, taking it a place in its channel.
+// Resuming only starts a paused sound, and toggling one that isn't playing.
+function startsSound(sound, action) {
+  if (action === `play`) { return true }
+  if (action === `resume`) { return Boolean(sound.paused) }
+  return action === `togglePause` && !isPlaying(sound)
+}
+
+function runAction(context, sound, action) {
+  const starts = startsSound(sound, action)
+  context.reconnector.cancel(sound)
+
+  if (starts) {
+    context.channels.makeRoom(sound)
+  }
+
+  sound[action]()
+
+  if (starts) {
+    context.channels.played(sound)
+  }
+}
+
+function isSeek(command) {
+  return Boolean(command.position || command.relative || command.progress)
+}
+
+function applySettings(context, sound, command) {
+  if (typeof command.volume === `number`) {
+    context.fader.cancel(sound)
+    context.mixer.setVolume(sound, command.volume)
+  }
+
+  if (`playingEvents` in command) {
+    sound.playingEvents = command.playingEvents
+  }
+
+  if (command.rate) {
+    sound.setPlaybackRate(command.rate, command.preservePitch !== false)
+    sound.rate = command.rate
+  }
+
+  panSound(context, sound, command)
+  sound.looping = loopSettings(sound.looping, command)
+
+  if (command.cues) {
+    setCues(context, sound, command.cues)
+  }
+}
+
+// Finds why a sound cannot carry out a command, before any of it is done.
+function commandProblem(sound, command) {
+  const {action, rate} = command
+
+  if (action && typeof sound[action] !== `function`) {
+    return makeError(`UNSUPPORTED_ACTION`, command)
+  }
+  if (sound.live && isSeek(command)) {
+    return makeError(`NOT_SEEKABLE`, command)
+  }
+  if (typeof rate === `number` && rate <= 0) {
+    return makeError(`INVALID_COMMAND`, command,
+      `Field "rate" must be more than 0`)
+  }
+  if (rate && typeof sound.setPlaybackRate !== `function`) {
+    return makeError(`UNSUPPORTED_RATE`, command)
+  }
+  if (command.sprite && !spriteOf(sound, command.sprite)) {
+    return makeError(`UNKNOWN_SPRITE`, command)
+  }
+  if (typeof command.pan === `number` && !canPan(sound)) {
+    return makeError(`UNSUPPORTED_PAN`, command)
+  }
+
+  return null
+}
+
+function seek(sound, command) {
+  const {position, relative, progress} = command
 
   if (position) {
     sound.setPosition(position)
@@ -150,78 +667,358 @@ function performCommand(obs, command) {
   if (progress) {
     sound.setPosition(sound.duration * progress)
   }
+}
 
-  if (action) {
-    if (~[`play`, `resume`].indexOf(action)) {
-      soundManager.pauseAll()
-    }
+function performCommand(context, command) {
+  const {id, action, scope} = command
+  const {obs} = context
+  const sound = findSound(context, id, scope)
+  if (!sound) { return commandError(context, `SOUND_NOT_FOUND`, command) }
 
-    sound[action]()
-  }
+  const problem = commandProblem(sound, command)
+  if (problem) { return rejectCommand(context, problem) }
+
+  context.registry.touch(sound)
+  seek(sound, command)
+  context.sprites.select(sound, command)
 
-  if (volume) {
-    sound.setVolume(volume)
+  if (action) {
+    runAction(context, sound, action)
   }
 
+  applySettings(context, sound, command)
   soundEvent(sound, obs, `update`)
 }
 
-function performGlobalCommand(obs, command) {
-  soundManager[command.action]()
+// Starts a sound without pausing the sounds in `except`, so that a crossfade
+// can bring a sound in over one in the same channel.
+function startSound(context, sound, except) {
+  context.channels.makeRoom(sound, except)
+  sound[sound.paused ? `resume` : `play`]()
+  context.channels.played(sound)
 }
 
-function commandExecutor(audio$, observer) {
-  audio$.subscribe(command => {
-    if (command.id) {
-      performCommand(observer, command)
-    } else if (command.action) {
-      performGlobalCommand(observer, command)
-    } else {
-      createSound(observer, command)
-    }
+function fadeInSound(context, sound, fade) {
+  const from = isPlaying(sound) ? sound.ownVolume : 0
+
+  context.mixer.setVolume(sound, from)
+  startSound(context, sound, fade.except)
+  context.fader.start(sound, {
+    duration: fade.duration,
+    curve: fade.curve,
+    from,
+    to: fade.to,
+  })
+}
+
+function endFade(context, sound, fade) {
+  if (fade.then) {
+    runAction(context, sound, fade.then)
+    context.mixer.setVolume(sound, fade.from)
+  }
+
+  soundEvent(sound, context.obs, `fadeend`)
+}
+
+function crossfade(context, sound, fade) {
+  const {target, duration, curve} = fade
+
+  context.registry.touch(target)
+  context.fader.start(sound, {
+    duration,
+    curve,
+    to: 0,
+    then: fade.then || `stop`,
+  })
+  fadeInSound(context, target, {
+    duration,
+    curve,
+    to: fade.volume || target.ownVolume || 100,
+    except: [sound],
   })
 }
 
-function isolateSink(sink$, scope) {
-  return sink$.map(cmd => ({...cmd, scope: (cmd.scope || []).concat(scope)}))
+const FADES = {
+  fadeIn: (context, sound, fade) => fadeInSound(context, sound, {
+    duration: fade.duration,
+    curve: fade.curve,
+    to: fade.volume || sound.ownVolume || 100,
+  }),
+  fadeOut: (context, sound, fade) =>
+    context.fader.start(sound, {...fade, to: 0, then: fade.then || `stop`}),
+  fadeTo: (context, sound, fade) =>
+    context.fader.start(sound, {...fade, to: fade.volume || 0}),
+  crossfade,
 }
 
-function isolateSource(source$, scope) {
-  const isolatedSource$ = source$
-    .filter(evt => Array.isArray(evt.scope) && evt.scope.indexOf(scope) !== -1)
+function performFade(context, command) {
+  const {id, action, volume, then, scope} = command
+  const {duration = FADE_DURATION, curve = FADE_CURVES[action]} = command
+  const sound = findSound(context, id, scope)
+  const target = action === `crossfade` ?
+    findSound(context, command.to, scope) :
+    sound
+  if (!sound || !target) {
+    return commandError(context, `SOUND_NOT_FOUND`, command)
+  }
+
+  context.registry.touch(sound)
+  FADES[action](context, sound, {duration, curve, volume, then, target})
+}
+
+function performUnload(context, command) {
+  const {id, scope} = command
 
-  isolatedSource$.isolateSource = isolateSource
-  isolatedSource$.isolateSink = isolateSink
+  if (id) {
+    const sound = findSound(context, id, scope)
+    if (sound) {
+      unloadSound(context, sound)
+    } else {
+      commandError(context, `SOUND_NOT_FOUND`, command)
+    }
+  } else {
+    scopedSounds(context, scope)
+      .forEach(sound => unloadSound(context, sound))
+  }
+}
 
-  return isolatedSource$
+// What global actions sent through an isolated sink do to each of its
+// sounds, rather than to every sound of the backend.
+const SCOPED_ACTIONS = {
+  pauseAll: `pause`,
+  resumeAll: `resume`,
+  stopAll: `stop`,
+  mute: `mute`,
+  unmute: `unmute`,
 }
 
-function makeAudioDriver(options) {
-  soundManager.setupOptions.url = '/node_modules/soundmanager2/swf/'
-  Object.keys(options).forEach(key =>
-    soundManager.setupOptions[key] = options[key])
+function performScopedCommand(context, command) {
+  const action = SCOPED_ACTIONS[command.action]
 
-  const onready$ = Observable.create(obs => {
-    soundManager.setup({
-      onready: () => obs.onNext(soundManager),
+  scopedSounds(context, command.scope)
+    .filter(sound => action !== `resume` || sound.paused)
+    .forEach(sound => {
+      runAction(context, sound, action)
+      soundEvent(sound, context.obs, `update`)
     })
+}
+
+function performGlobalCommand(context, command) {
+  if (command.scope) {
+    performScopedCommand(context, command)
+  } else if (command.action === `mute` || command.action === `unmute`) {
+    // Muting everything mutes the master level, leaving each sound's own
+    // mute as it was.
+    context.mixer.perform({mixer: command.action})
+  } else if (typeof context.backend[command.action] === `function`) {
+    context.backend[command.action]()
+  } else {
+    commandError(context, `UNSUPPORTED_ACTION`, command)
+  }
+}
+
+// Actions with commands of their own, rather than a method of the sound.
+const ACTION_COMMANDS = {
+  unload: performUnload,
+  destroy: performUnload,
+  fadeIn: performFade,
+  fadeOut: performFade,
+  fadeTo: performFade,
+  crossfade: performFade,
+}
+
+function commandExecutor(options, commands, observer) {
+  const {backend, channels, maxSounds, playingEvents} = options
+  const listeners = []
+  let disposed = false
+
+  const emit = evt => {
+    if (!disposed) { observer.next(evt) }
+  }
+  const obs = {
+    onNext: evt => {
+      emit(evt)
+      listeners.forEach(listener => listener(evt))
+    },
+  }
+  const context = {
+    backend,
+    obs,
+    channels: makeChannels(channels),
+    registry: makeRegistry(maxSounds),
+    timers: timersFor(backend),
+    playingEvents,
+    mixer: makeMixer({emit}),
+  }
+  context.fader = makeFader({
+    timers: context.timers,
+    setVolume: context.mixer.setVolume,
+    onStart: sound => soundEvent(sound, obs, `fadestart`),
+    onEnd: (sound, fade) => endFade(context, sound, fade),
+  })
+  context.looper = makeLooper({
+    timers: context.timers,
+    onLoop: sound => soundEvent(sound, obs, `loop`),
+  })
+  context.sprites = makeSpritePlayer({
+    timers: context.timers,
+    onEnd: (sound, sprite) =>
+      obs.onNext({...makeSoundEvent(sound, `finish`), sprite}),
+  })
+  context.reconnector = makeReconnector({
+    timers: context.timers,
+    onReconnecting: sound => soundEvent(sound, obs, `reconnecting`),
+    onReconnected: sound => soundEvent(sound, obs, `reconnected`),
+    onFailed: sound =>
+      soundError(sound, obs, makeError(`CONNECTION_LOST`, {id: sound.id})),
+  })
+
+  const queue = makeQueuePlayer({
+    emit,
+    load: (src, scope) => createSound(context, {src, scope}),
+    play: sound => runAction(context, sound, `play`),
+    stop: sound => runAction(context, sound, `stop`),
+    unload: sound => unloadSound(context, sound),
   })
+  const reconciler = makeReconciler({
+    load: command => createSound(context, command),
+    play: sound =>
+      runAction(context, sound, sound.paused ? `resume` : `play`),
+    pause: sound => runAction(context, sound, `pause`),
+    unload: sound => unloadSound(context, sound),
+    setVolume: context.mixer.setVolume,
+  })
+  listeners.push(
+    queue.handleEvent,
+    reconciler.handleEvent,
+    context.fader.handleEvent,
+    context.reconnector.handleEvent,
+    context.looper.handleEvent,
+    context.sprites.handleEvent,
+    context.mixer.handleEvent
+  )
+
+  // Kinds of command handled by a part of the driver of their own.
+  const performers = {
+    queue: queue.perform,
+    mixer: context.mixer.perform,
+    state: reconciler.reconcile,
+  }
+
+  const unsubscribe = commands.subscribe({next: command => {
+    const invalid = validateCommand(command)
+    const kind = invalid ? null : commandKind(command)
+
+    if (invalid) {
+      rejectCommand(context, invalid)
+    } else if (performers[kind]) {
+      performers[kind](command)
+    } else if (ACTION_COMMANDS[command.action]) {
+      ACTION_COMMANDS[command.action](context, command)
+    } else if (kind === `sound`) {
+      performCommand(context, command)
+    } else if (kind === `global`) {
+      performGlobalCommand(context, command)
+    } else {
+      createSound(context, command)
+    }
+  }})
+
+  return function dispose() {
+    disposed = true
+    unsubscribe()
+    context.registry.all().forEach(sound => {
+      sound.stop()
+      unloadSound(context, sound)
+    })
+  }
+}
+
+// Sets the backend up once, however many times the driver is used. Each
+// listener hears of every status the setup reaches, including those reached
+// before it started listening.
+function makeSetup(backend) {
+  const statuses = []
+  const listeners = []
+  let started = false
+
+  function reach(status) {
+    statuses.push(status)
+    listeners.slice().forEach(listener => listener(status))
+  }
 
-  const audioDriver = function(audio$) {
-    const out$ = Observable.create(obs => {
-      onready$.subscribe(() => {
-        commandExecutor(audio$, obs)
+  return function onSetup(listener) {
+    listeners.push(listener)
+    statuses.forEach(listener)
+
+    if (!started) {
+      started = true
+      backend.setup(() => reach(`ready`), () => reach(`timeout`))
+    }
+
+    return () => {
+      const index = listeners.indexOf(listener)
+      if (index !== -1) { listeners.splice(index, 1) }
+    }
+  }
+}
+
+// Cycle's `run` passes the stream adapter of the app's stream library, while
+// older versions of Cycle pass nothing, and their apps use RxJS 4.
+function isStreamAdapter(streamAdapter) {
+  return Boolean(streamAdapter) && typeof streamAdapter.adapt === `function`
+}
+
+function makeAudioDriver(options = {}) {
+  const {
+    backend: customBackend,
+    channels,
+    maxSounds,
+    playingEvents,
+    ...setupOptions,
+  } = options
+  const backend = customBackend || makeSoundManagerBackend(setupOptions)
+  const onSetup = makeSetup(backend)
+
+  const audioDriver = function audioDriver(audio$, streamAdapter) {
+    const adapter = isStreamAdapter(streamAdapter) ? streamAdapter : RxAdapter
+    const commands = {subscribe: observer => subscribeAny(audio$, observer)}
+
+    const events = makeBroadcast(emit => {
+      let disposeExecutor = null
+      const observer = {next: emit}
+      const stopWaiting = onSetup(status => {
+        if (status === `timeout`) {
+          emit(makeSoundError({id: null}, makeError(`SETUP_TIMEOUT`)))
+        } else if (!disposeExecutor) {
+          disposeExecutor = commandExecutor(
+            {backend, channels, maxSounds, playingEvents}, commands, observer)
+        }
       })
-    }).share()
 
-    out$.isolateSource = isolateSource
-    out$.isolateSink = isolateSink
+      return () => {
+        stopWaiting()
+        if (disposeExecutor) { disposeExecutor() }
+        disposeExecutor = null
+      }
+    })
 
-    return out$
+    const source = makeAudioSource(events, adapter)
+    source.dispose = events.halt
+    return source
   }
 
-  audioDriver.streamAdapter = RxAdapter
   return audioDriver
 }
 
-export {makeAudioDriver}
+export {
+  makeAudioDriver,
+  makeSoundManagerBackend,
+  makeHTMLAudioBackend,
+  makeWebAudioBackend,
+  makeFakeBackend,
+  mockAudioSource,
+  mockAudioDriver,
+  commandSchema,
+  validateCommand,
+}
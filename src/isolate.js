@@ -0,0 +1,48 @@
+import {filterStream, mapStream} from './observable'
+
+// Whether a sound loaded with `soundScope` belongs to `scope`. Isolation
+// appends the outer scopes, so nested components share the tail.
+function withinScope(soundScope, scope) {
+  if (!Array.isArray(soundScope) || soundScope.length < scope.length) {
+    return false
+  }
+
+  const tail = soundScope.slice(soundScope.length - scope.length)
+  return tail.every((name, index) => name === scope[index])
+}
+
+// The id a sound chosen `id` is known by outside `scope`, prefixed with the
+// scopes from the outermost in, such as `'page/player/theme'`.
+function scopedId(scope, id) {
+  return (scope || []).reduce((path, name) => `${name}/${path}`, id)
+}
+
+// A key for the state an isolated scope keeps of its own, `''` outside any.
+function scopeKey(scope) {
+  return (scope || []).join(`/`)
+}
+
+function isolateCommands(commands, scope) {
+  return mapStream(commands, cmd =>
+    ({...cmd, scope: (cmd.scope || []).concat(scope)}))
+}
+
+// Keeps the events from within `path`, the scope being isolated followed by
+// those it is nested in. The outer scopes have already taken their part off
+// the ids.
+function isolateEvents(events, path) {
+  const prefix = `${path[0]}/`
+
+  return mapStream(filterStream(events, evt => withinScope(evt.scope, path)),
+    evt => typeof evt.id === `string` && evt.id.indexOf(prefix) === 0 ?
+      {...evt, id: evt.id.slice(prefix.length)} :
+      evt)
+}
+
+export {
+  withinScope,
+  scopedId,
+  scopeKey,
+  isolateCommands,
+  isolateEvents,
+}
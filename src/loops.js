@@ -0,0 +1,64 @@
+import {makeEndWatcher} from './segments'
+
+// Works out a sound's loop from a command, on top of the loop it had. `loop`
+// is `true` to loop forever, a number of times to play, or `false` to stop
+// looping. A `loopStart` or `loopEnd` alone loops that segment forever.
+function loopSettings(previous, command) {
+  const {loop} = command
+  const segment = `loopStart` in command || `loopEnd` in command
+  if (loop === false) { return null }
+  if (!(`loop` in command) && !segment) { return previous }
+
+  const looping = {start: 0, end: null, remaining: Infinity, ...previous}
+  if (`loopStart` in command) { looping.start = command.loopStart }
+  if (`loopEnd` in command) { looping.end = command.loopEnd }
+  if (typeof loop === `number`) { looping.remaining = loop - 1 }
+  if (loop === true) { looping.remaining = Infinity }
+
+  return looping
+}
+
+function makeLooper({timers, onLoop}) {
+  const watcher = makeEndWatcher(timers)
+
+  function looping(sound) {
+    return sound.looping && sound.looping.remaining > 0 ? sound.looping : null
+  }
+
+  function wrap(sound) {
+    sound.looping.remaining -= 1
+    sound.setPosition(sound.looping.start)
+    onLoop(sound)
+  }
+
+  // Wraps a playing sound when it reaches the end of its loop.
+  function check(sound) {
+    if (looping(sound)) {
+      watcher.watch(sound, sound.looping.end || sound.duration, wrap)
+    } else {
+      watcher.cancel(sound)
+    }
+  }
+
+  // Starts a looping sound that played to the end of the file over again.
+  // Returns false when the sound is done looping and has finished.
+  function finished(sound) {
+    watcher.cancel(sound)
+    if (!looping(sound)) { return false }
+
+    sound.play()
+    wrap(sound)
+    return true
+  }
+
+  return {
+    check,
+    finished,
+    cancel: watcher.cancel,
+    handleEvent(evt) {
+      if (evt.event === `unload`) { watcher.cancel({id: evt.id}) }
+    },
+  }
+}
+
+export {loopSettings, makeLooper}
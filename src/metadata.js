@@ -0,0 +1,39 @@
+// SoundManager2 names ID3 fields after the tag frames (`TIT2`), or with
+// Flash after the ActionScript names (`songname`), depending on the player.
+const ID3_FIELDS = {
+  title: [`TIT2`, `songname`, `title`],
+  artist: [`TPE1`, `artist`],
+  album: [`TALB`, `album`],
+}
+
+const EMPTY_METADATA = {
+  title: null,
+  artist: null,
+  album: null,
+  streamTitle: null,
+}
+
+function firstOf(tags, names) {
+  return names.map(name => tags[name]).filter(Boolean)[0]
+}
+
+// Merges what the sound reports into the metadata known so far, so that a
+// stream title does not wipe out the artist read from the file.
+function mergeMetadata(known, sound) {
+  const id3 = sound.id3 || {}
+  const stream = sound.metadata || {}
+  const found = {
+    ...Object.keys(ID3_FIELDS).reduce((fields, field) => ({
+      ...fields,
+      [field]: firstOf(id3, ID3_FIELDS[field]),
+    }), {}),
+    streamTitle: stream.title || stream.StreamTitle,
+  }
+
+  return Object.keys(found)
+    .filter(field => found[field])
+    .reduce((metadata, field) => ({...metadata, [field]: found[field]}),
+      known || EMPTY_METADATA)
+}
+
+export {EMPTY_METADATA, mergeMetadata}
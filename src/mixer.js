@@ -0,0 +1,114 @@
+import {withinScope, scopeKey} from './isolate'
+
+const MIXER_ACTIONS = {
+  volume: (level, command) => ({...level, volume: command.volume}),
+  mute: level => ({...level, muted: true}),
+  unmute: level => ({...level, muted: false}),
+  toggleMute: level => ({...level, muted: !level.muted}),
+}
+
+function makeLevel() {
+  return {volume: 100, muted: false}
+}
+
+function gainOf(level) {
+  return level.muted ? 0 : level.volume / 100
+}
+
+function makeMix(scope) {
+  return {scope, master: makeLevel(), buses: {}}
+}
+
+// Whether `sound` plays through `mix`: the app's mix has every sound, and an
+// isolated scope's mix those loaded within the scope.
+function playsThrough(mix, sound) {
+  return !mix.scope || withinScope(sound.scope, mix.scope)
+}
+
+function gainIn(mix, sound) {
+  const bus = sound.bus && mix.buses[sound.bus]
+  return gainOf(mix.master) * (bus ? gainOf(bus) : 1)
+}
+
+// Mixes sounds through a master level and named buses. The driver keeps each
+// sound's own volume as `ownVolume`, and only ever gives the backend the mixed
+// volume, master × bus × sound, so that backends remembering the volume they
+// were last given, as SoundManager2 does between plays, never mix it twice.
+// Isolated scopes sending mixer commands get a mix of their own, which their
+// sounds play through as well as the app's.
+function makeMixer({emit}) {
+  const sounds = {}
+  const mixes = {}
+
+  function mixFor(scope) {
+    const key = scopeKey(scope)
+    if (!mixes[key]) { mixes[key] = makeMix(scope) }
+    return mixes[key]
+  }
+
+  function addBus(mix, name) {
+    if (name && !mix.buses[name]) {
+      mix.buses = {...mix.buses, [name]: makeLevel()}
+    }
+    return mix.buses[name]
+  }
+
+  function mixSound(sound) {
+    const gain = Object.keys(mixes)
+      .map(key => mixes[key])
+      .filter(mix => playsThrough(mix, sound))
+      .reduce((total, mix) => total * gainIn(mix, sound), 1)
+    sound.setVolume(Math.round(sound.ownVolume * gain))
+  }
+
+  function remix() {
+    Object.keys(sounds).forEach(id => mixSound(sounds[id]))
+  }
+
+  function mixerEvent(mix, scope) {
+    const levels = {}
+    Object.keys(mix.buses).forEach(name => {
+      levels[name] = {...mix.buses[name]}
+    })
+
+    return {event: `mixer`, ...mix.master, buses: levels, scope}
+  }
+
+  return {
+    add(sound, bus) {
+      sound.bus = bus
+      sound.ownVolume = sound.volume
+      sounds[sound.id] = sound
+      addBus(mixFor(null), bus)
+      mixSound(sound)
+    },
+
+    // Everything changing a sound's volume, fades included, goes through
+    // here to be mixed.
+    setVolume(sound, volume) {
+      sound.ownVolume = volume
+      mixSound(sound)
+    },
+
+    perform(command) {
+      const {bus, scope} = command
+      const mix = mixFor(scope)
+      const change = MIXER_ACTIONS[command.mixer]
+
+      if (bus) {
+        mix.buses = {...mix.buses, [bus]: change(addBus(mix, bus), command)}
+      } else {
+        mix.master = change(mix.master, command)
+      }
+
+      remix()
+      emit(mixerEvent(mix, scope))
+    },
+
+    handleEvent(evt) {
+      if (evt.event === `unload`) { delete sounds[evt.id] }
+    },
+  }
+}
+
+export {makeMixer}
@@ -0,0 +1,130 @@
+import {ReactiveTest} from 'rx'
+import RxAdapter from '@cycle/rx-adapter'
+import {makeSoundEvent, makeSoundError} from './events'
+import {makeError} from './errors'
+import {makeAudioSource} from './source'
+import {subscribeAny} from './observable'
+import {DEFAULT_CHANNEL} from './channels'
+import {EMPTY_METADATA} from './metadata'
+
+const TRANSITIONS = {
+  load: {readyState: 3},
+  play: {playState: 1, paused: false},
+  pause: {paused: true},
+  stop: {playState: 0, paused: false, position: 0},
+  finish: {playState: 0, paused: false},
+  error: {readyState: 2},
+  buffering: {isBuffering: true},
+  buffered: {isBuffering: false},
+  unload: {playState: 0, paused: false, readyState: 0},
+}
+
+function initialSound(id) {
+  return {
+    id,
+    url: null,
+    channel: DEFAULT_CHANNEL,
+    position: 0,
+    duration: null,
+    muted: false,
+    ownVolume: 100,
+    paused: false,
+    playState: 0,
+    readyState: 1,
+    bytesLoaded: null,
+    bytesTotal: null,
+    buffered: [],
+    isBuffering: false,
+  }
+}
+
+// Replays the timeline against a fake sound per id, so that each event
+// carries the state the earlier events left that sound in.
+function scriptEvents(timeline) {
+  const sounds = {}
+
+  return timeline.map(([time, event, spec = {}]) => {
+    const {src, code = `LOAD_FAILED`, command, metadata, volume, ...fields} =
+      spec
+    const previous = sounds[spec.id] || initialSound(spec.id)
+    const sound = {
+      ...previous,
+      ...TRANSITIONS[event],
+      ...fields,
+      url: src || previous.url,
+      ownVolume: typeof volume === `number` ? volume : previous.ownVolume,
+      tags: metadata ?
+        {...EMPTY_METADATA, ...previous.tags, ...metadata} :
+        previous.tags,
+    }
+
+    if (spec.id) { sounds[spec.id] = sound }
+
+    return ReactiveTest.onNext(time, event === `error` ?
+      makeSoundError(sound, makeError(code, command)) :
+      makeSoundEvent(sound, event))
+  })
+}
+
+/**
+* Creates a source that looks like the one `audioDriver` returns, emitting
+* scripted sound events on an Rx `TestScheduler`. Each entry of the timeline
+* is `[time, event, sound]`, where `sound` holds the fields that changed, and
+* the events are built exactly the way the driver builds them:
+*
+* ```
+* const audio = mockAudioSource(scheduler, [
+*   [210, 'load', {id: 'sound0', src: 'song.mp3', duration: 1000}],
+*   [220, 'play', {id: 'sound0'}],
+*   [300, 'playing', {id: 'sound0', position: 80}],
+*   [1220, 'finish', {id: 'sound0', position: 1000}],
+*   [230, 'error', {src: 'missing.mp3', code: 'LOAD_FAILED'}],
+* ])
+* ```
+*
+* Error entries take the error `code`, `LOAD_FAILED` by default, and the
+* `command` that failed. Entries may give `metadata`, such as
+* `{title: 'Song'}`, which later events for the sound carry too.
+*
+* @param {TestScheduler} scheduler - the scheduler to emit the events on.
+* @param {Array} timeline - `[time, event, sound]` entries.
+* @return {Observable} a hot observable of sound events, which can be
+* selected from and isolated like the real source.
+* @function mockAudioSource
+**/
+function mockAudioSource(scheduler, timeline = []) {
+  const events$ = scheduler.createHotObservable(...scriptEvents(timeline))
+
+  return makeAudioSource(
+    {subscribe: observer => subscribeAny(events$, observer)}, RxAdapter)
+}
+
+/**
+* Creates a stand-in for the audio driver that plays nothing. It records each
+* command the app sends as `{time, command}` in `audioDriver.commands`, and
+* returns a `mockAudioSource` built from the timeline.
+*
+* @param {TestScheduler} scheduler - the scheduler the app runs on.
+* @param {Array} timeline - `[time, event, sound]` entries, see
+* `mockAudioSource`.
+* @return {audioDriver} the mock audio driver function.
+* @function mockAudioDriver
+**/
+function mockAudioDriver(scheduler, timeline = []) {
+  const commands = []
+
+  const audioDriver = function audioDriver(audio$) {
+    const subscription = audio$.subscribe(command =>
+      commands.push({time: scheduler.now(), command}))
+    const source$ = mockAudioSource(scheduler, timeline)
+
+    source$.dispose = () => subscription.dispose()
+    return source$
+  }
+
+  audioDriver.commands = commands
+  audioDriver.streamAdapter = RxAdapter
+  return audioDriver
+}
+
+export {mockAudioSource, mockAudioDriver}
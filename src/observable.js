@@ -0,0 +1,96 @@
+// Streams of the driver's own, which depend on no stream library. A stream is
+// an object with `subscribe(observer)`, which takes an observer with `next`
+// and returns a function that unsubscribes. That is the contract of a Cycle
+// stream adapter's `streamSubscribe`, so any adapter can turn these streams
+// into the app's own stream type.
+
+function subscribeStream(stream, observer) {
+  return stream.subscribe(observer)
+}
+
+// Looked up on use, as the libraries set `Symbol.observable` when loaded.
+function observableKey() {
+  return typeof Symbol === `function` && Symbol.observable || `@@observable`
+}
+
+// Subscribes to a stream from any library. Those following the ES Observable
+// proposal, such as xstream, most and RxJS 5, are subscribed through it, and
+// anything else as an RxJS 4 observable.
+function subscribeAny(stream, observer) {
+  const next = value => observer.next(value)
+  const interop = stream[observableKey()]
+
+  if (typeof interop === `function`) {
+    const subscription = interop.call(stream).subscribe({next})
+    return () => subscription.unsubscribe()
+  }
+
+  const subscription = stream.subscribe(next)
+  return () => subscription.dispose()
+}
+
+// Shares one run of `start` between every subscriber, starting it for the
+// first and stopping it once the last has gone, like RxJS's `share()`.
+// `start` is given a function to emit values with, and returns a function
+// that stops it.
+function makeBroadcast(start) {
+  const observers = []
+  let stop = null
+
+  function emit(value) {
+    observers.slice().forEach(observer => observer.next(value))
+  }
+
+  function halt() {
+    const running = stop
+    stop = null
+    if (running) { running() }
+  }
+
+  return {
+    halt,
+
+    subscribe(observer) {
+      observers.push(observer)
+      if (observers.length === 1) {
+        stop = start(emit)
+        // The observer may have gone again while it started.
+        if (!observers.length) { halt() }
+      }
+
+      return () => {
+        const index = observers.indexOf(observer)
+        if (index === -1) { return }
+
+        observers.splice(index, 1)
+        if (!observers.length) { halt() }
+      }
+    },
+  }
+}
+
+function filterStream(stream, predicate) {
+  return {
+    subscribe: observer => stream.subscribe({
+      next: value => {
+        if (predicate(value)) { observer.next(value) }
+      },
+    }),
+  }
+}
+
+function mapStream(stream, project) {
+  return {
+    subscribe: observer => stream.subscribe({
+      next: value => observer.next(project(value)),
+    }),
+  }
+}
+
+export {
+  subscribeStream,
+  subscribeAny,
+  makeBroadcast,
+  filterStream,
+  mapStream,
+}
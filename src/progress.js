@@ -0,0 +1,22 @@
+// Decides which `whileplaying` ticks of a sound become `playing` events. The
+// sound's `playingEvents` is `false` for none, or `{interval, delta}` to wait
+// for `interval` ms and a move of `delta` ms in position between events.
+function makeProgressThrottle(timers) {
+  let last = null
+
+  return function shouldEmit(sound) {
+    const settings = sound.playingEvents
+    if (settings === false) { return false }
+
+    const {interval = 0, delta = 0} = settings || {}
+    const now = timers.now()
+    const due = !last ||
+      now - last.time >= interval &&
+      Math.abs(sound.position - last.position) >= delta
+
+    if (due) { last = {time: now, position: sound.position} }
+    return due
+  }
+}
+
+export {makeProgressThrottle}
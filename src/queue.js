@@ -0,0 +1,269 @@
+import {scopeKey} from './isolate'
+import {isPlaying} from './events'
+
+const REPEAT_MODES = [`none`, `one`, `all`]
+const NAVIGATION = [`next`, `previous`, `jumpTo`, `finished`]
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value]
+}
+
+function identityOrder(length) {
+  return Array.apply(null, {length}).map((_, index) => index)
+}
+
+function shuffledOrder(length, first, random) {
+  const order = identityOrder(length)
+
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = order[i]
+    order[i] = order[j]
+    order[j] = swap
+  }
+
+  if (first !== -1) {
+    order.splice(order.indexOf(first), 1)
+    order.unshift(first)
+  }
+
+  return order
+}
+
+function withOrder(queue, random) {
+  const {items, index, shuffle} = queue
+  const order = shuffle ?
+    shuffledOrder(items.length, index, random) :
+    identityOrder(items.length)
+
+  return {...queue, order}
+}
+
+function makeQueue() {
+  return {items: [], index: -1, order: [], shuffle: false, repeat: `none`}
+}
+
+function currentSrc(queue) {
+  return queue.index === -1 ? null : queue.items[queue.index]
+}
+
+function step(queue, delta, wrap) {
+  const {order, index} = queue
+  if (!order.length) { return queue }
+
+  const position = order.indexOf(index)
+  const next = position === -1 ? 0 : position + delta
+
+  if (next >= 0 && next < order.length) {
+    return {...queue, index: order[next]}
+  }
+
+  if (wrap) {
+    return {...queue, index: order[(next + order.length) % order.length]}
+  }
+
+  return {...queue, index: next < 0 ? order[0] : -1}
+}
+
+function enqueue(queue, {src, at}) {
+  const srcs = toArray(src)
+  const items = queue.items.slice()
+  const insertAt = typeof at === `number` ?
+    Math.max(0, Math.min(at, items.length)) :
+    items.length
+
+  items.splice(insertAt, 0, ...srcs)
+
+  const index = queue.index >= insertAt ?
+    queue.index + srcs.length :
+    queue.index
+
+  return {...queue, items, index}
+}
+
+function replace(queue, {src}) {
+  return {...queue, items: toArray(src).slice(), index: -1}
+}
+
+function remove(queue, {src, index: removeIndex}) {
+  const removed = (item, i) => typeof removeIndex === `number` ?
+    i === removeIndex :
+    item === src
+  const items = queue.items.filter((item, i) => !removed(item, i))
+  const before = queue.items
+    .slice(0, Math.max(queue.index, 0))
+    .filter((item, i) => removed(item, i)).length
+
+  if (queue.index === -1) { return {...queue, items} }
+
+  const index = queue.index - before
+  const currentRemoved = removed(queue.items[queue.index], queue.index)
+
+  return {
+    ...queue,
+    items,
+    index: currentRemoved && index >= items.length ? -1 : index,
+  }
+}
+
+function move(queue, {from, to}) {
+  const {items: oldItems, index} = queue
+  if (from < 0 || from >= oldItems.length) { return queue }
+
+  const target = Math.max(0, Math.min(to, oldItems.length - 1))
+  const items = oldItems.slice()
+  items.splice(target, 0, items.splice(from, 1)[0])
+
+  let newIndex = index
+  if (index === from) {
+    newIndex = target
+  } else if (from < index && target >= index) {
+    newIndex = index - 1
+  } else if (from > index && target <= index) {
+    newIndex = index + 1
+  }
+
+  return {...queue, items, index: newIndex}
+}
+
+function jumpTo(queue, {index}) {
+  if (index < 0 || index >= queue.items.length) { return queue }
+  return {...queue, index}
+}
+
+const reducers = {
+  enqueue,
+  replace,
+  remove,
+  move,
+  jumpTo,
+  next: queue => step(queue, 1, queue.repeat === `all`),
+  previous: queue => step(queue, -1, queue.repeat === `all`),
+  finished: queue => queue.repeat === `one` ?
+    queue :
+    step(queue, 1, queue.repeat === `all`),
+  shuffle: (queue, {enabled}) => ({...queue, shuffle: enabled !== false}),
+  repeat: (queue, {mode}) => REPEAT_MODES.indexOf(mode) === -1 ?
+    queue :
+    {...queue, repeat: mode},
+}
+
+function reorders(action) {
+  return [`enqueue`, `replace`, `remove`, `move`, `shuffle`]
+    .indexOf(action) !== -1
+}
+
+function reduceQueue(queue, command, random = Math.random) {
+  const reducer = reducers[command.queue]
+  if (!reducer) { return queue }
+
+  const next = reducer(queue, command)
+  return reorders(command.queue) ? withOrder(next, random) : next
+}
+
+function queueEvent(state) {
+  const {queue, current, scope} = state
+
+  return {
+    event: `queue`,
+    index: queue.index,
+    items: queue.items.slice(),
+    shuffle: queue.shuffle,
+    repeat: queue.repeat,
+    id: current ? current.id : null,
+    src: currentSrc(queue),
+    scope,
+  }
+}
+
+function makeQueueState(scope) {
+  return {
+    queue: makeQueue(),
+    sounds: {},
+    current: null,
+    scope,
+  }
+}
+
+// Plays a queue for the app, and one more for each isolated scope that sends
+// queue commands.
+function makeQueuePlayer({emit, load, play, stop, unload, random}) {
+  const states = {}
+
+  function stateFor(scope) {
+    const key = scopeKey(scope)
+    if (!states[key]) { states[key] = makeQueueState(scope) }
+    return states[key]
+  }
+
+  function switchTo(state, src, autoPlay) {
+    if (state.current) { stop(state.current) }
+    if (!src) {
+      state.current = null
+      return
+    }
+
+    state.current = state.sounds[src] || load(src, state.scope)
+    if (state.current) {
+      state.sounds[src] = state.current
+      if (autoPlay) { play(state.current) }
+    }
+  }
+
+  function forget(state, id) {
+    Object.keys(state.sounds)
+      .filter(src => state.sounds[src].id === id)
+      .forEach(src => delete state.sounds[src])
+
+    if (state.current && state.current.id === id) { state.current = null }
+  }
+
+  // Unloads the sounds of items that are no longer in the queue.
+  function unloadDropped(state) {
+    Object.keys(state.sounds)
+      .filter(src => state.queue.items.indexOf(src) === -1)
+      .forEach(src => {
+        const sound = state.sounds[src]
+        delete state.sounds[src]
+        unload(sound)
+      })
+  }
+
+  function update(state, command, restart) {
+    const previousSrc = currentSrc(state.queue)
+    const wasPlaying = Boolean(state.current) && isPlaying(state.current)
+
+    state.queue = reduceQueue(state.queue, command, random)
+    const src = currentSrc(state.queue)
+
+    if (restart || src !== previousSrc) {
+      switchTo(state, src, restart || wasPlaying)
+    }
+
+    unloadDropped(state)
+    emit(queueEvent(state))
+  }
+
+  return {
+    perform(command) {
+      update(stateFor(command.scope), command,
+        NAVIGATION.indexOf(command.queue) !== -1)
+    },
+
+    handleEvent(evt) {
+      Object.keys(states).forEach(key => {
+        const state = states[key]
+        const isCurrent = Boolean(state.current) &&
+          evt.id === state.current.id
+
+        if (evt.event === `unload`) {
+          forget(state, evt.id)
+        } else if (evt.event === `finish` && isCurrent) {
+          update(state, {queue: `finished`}, true)
+        }
+      })
+    },
+  }
+}
+
+export {makeQueue, reduceQueue, makeQueuePlayer}
@@ -0,0 +1,77 @@
+import {scopeKey} from './isolate'
+import {isPlaying} from './events'
+
+function trackKey(scope, name) {
+  return `${scopeKey(scope)}:${name}`
+}
+
+// Keeps the sounds of declarative `{tracks}` snapshots. Like the DOM driver
+// patching the DOM from vtrees, each snapshot is compared with the sounds as
+// they are, and only the differences are applied.
+function makeReconciler({load, play, pause, unload, setVolume}) {
+  const tracks = {}
+
+  function create(name, track, scope) {
+    const key = trackKey(scope, name)
+    const sound = load({src: track.src, channel: track.channel, scope})
+    if (!sound) { return null }
+
+    sound.track = name
+    tracks[key] = {sound, scope: scopeKey(scope), desired: {}}
+    return tracks[key]
+  }
+
+  function apply(entry, track) {
+    const {sound, desired} = entry
+
+    const volume = track.volume
+    if (typeof volume === `number` && volume !== sound.ownVolume) {
+      setVolume(sound, volume)
+    }
+
+    // Positions move on by themselves, so only a changed position is a seek.
+    const seek = typeof track.position === `number` &&
+      track.position !== desired.position
+    if (seek) { sound.setPosition(track.position) }
+
+    if (track.playing && !isPlaying(sound)) {
+      play(sound)
+    } else if (!track.playing && isPlaying(sound)) {
+      pause(sound)
+    }
+
+    entry.desired = track
+  }
+
+  function reconcile(command) {
+    const {tracks: snapshot, scope} = command
+    const owner = scopeKey(scope)
+
+    Object.keys(tracks)
+      .filter(key => tracks[key].scope === owner)
+      .filter(key => {
+        const name = key.slice(owner.length + 1)
+        const track = snapshot[name]
+        return !track || track.src !== tracks[key].sound.url
+      })
+      .forEach(key => unload(tracks[key].sound))
+
+    Object.keys(snapshot).forEach(name => {
+      const key = trackKey(scope, name)
+      const entry = tracks[key] || create(name, snapshot[name], scope)
+      if (entry) { apply(entry, snapshot[name]) }
+    })
+  }
+
+  function handleEvent(evt) {
+    if (evt.event !== `unload`) { return }
+
+    Object.keys(tracks)
+      .filter(key => tracks[key].sound.id === evt.id)
+      .forEach(key => delete tracks[key])
+  }
+
+  return {reconcile, handleEvent}
+}
+
+export {makeReconciler}
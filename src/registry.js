@@ -0,0 +1,64 @@
+function isIdle(sound) {
+  return sound.playState !== 1
+}
+
+// Keeps the driver's sounds by id, along with the order they were last used
+// in, so that idle sounds can be unloaded once there are more than
+// `maxSounds` of them.
+function makeRegistry(maxSounds = Infinity) {
+  const sounds = {}
+  const recent = []
+  let nextId = 0
+
+  function forget(sound) {
+    const index = recent.indexOf(sound.id)
+    if (index !== -1) { recent.splice(index, 1) }
+  }
+
+  function touch(sound) {
+    forget(sound)
+    recent.push(sound.id)
+  }
+
+  return {
+    touch,
+
+    get(id) {
+      return sounds[id]
+    },
+
+    // An id no sound has, for a sound loaded without one of its own.
+    newId() {
+      while (sounds[`sound${nextId}`]) { nextId++ }
+      return `sound${nextId++}`
+    },
+
+    all() {
+      return Object.keys(sounds).map(id => sounds[id])
+    },
+
+    add(sound) {
+      sounds[sound.id] = sound
+      touch(sound)
+    },
+
+    remove(sound) {
+      delete sounds[sound.id]
+      forget(sound)
+    },
+
+    // The least recently used idle sounds, other than the given one, that
+    // have to go for the registry to be back within its limit.
+    evictionsFor(sound) {
+      const excess = recent.length - maxSounds
+      if (excess <= 0) { return [] }
+
+      return recent
+        .map(id => sounds[id])
+        .filter(other => other !== sound && isIdle(other))
+        .slice(0, excess)
+    },
+  }
+}
+
+export {makeRegistry}
@@ -0,0 +1,354 @@
+import {makeError} from './errors'
+
+/**
+* The commands the driver accepts. Each kind of command lists its actions,
+* its fields with their types, and the fields it requires. A command is a
+* queue command when it has `queue`, a mixer command when it has `mixer`, a
+* state snapshot when it has `tracks`, a sound command when it has `id` but
+* no `src`, a global command when it has only an `action`, and otherwise a
+* load command.
+* Each track of a snapshot is checked against `state.track`, and each cue
+* against `cue`. Fields listed in `values` only take those values, and those
+* in `ranges` only numbers from the first to the second. Actions listed in
+* `requires` also need those fields.
+*
+* @type {Object}
+* @name commandSchema
+**/
+const cueSchema = {
+  fields: {
+    name: [`string`],
+    position: [`number`],
+  },
+  required: [`name`, `position`],
+}
+
+const commandSchema = {
+  load: {
+    fields: {
+      src: [`string`],
+      id: [`string`],
+      channel: [`string`],
+      playingEvents: [`object`, `boolean`],
+      stream: [`boolean`],
+      reconnect: [`object`, `boolean`],
+      loop: [`number`, `boolean`],
+      loopStart: [`number`],
+      loopEnd: [`number`],
+      cues: [`array`],
+      sprite: [`object`],
+      pan: [`number`],
+      bus: [`string`],
+      scope: [`array`],
+    },
+    ranges: {
+      pan: [-100, 100],
+    },
+    required: [`src`],
+    cue: cueSchema,
+  },
+  sound: {
+    actions: [
+      `play`,
+      `pause`,
+      `resume`,
+      `stop`,
+      `togglePause`,
+      `mute`,
+      `unmute`,
+      `toggleMute`,
+      `fadeIn`,
+      `fadeOut`,
+      `fadeTo`,
+      `crossfade`,
+      `unload`,
+      `destroy`,
+    ],
+    fields: {
+      id: [`string`],
+      action: [`string`],
+      position: [`number`],
+      relative: [`number`],
+      progress: [`number`],
+      volume: [`number`],
+      duration: [`number`],
+      curve: [`string`],
+      then: [`string`],
+      to: [`string`],
+      rate: [`number`],
+      preservePitch: [`boolean`],
+      loop: [`number`, `boolean`],
+      loopStart: [`number`],
+      loopEnd: [`number`],
+      cues: [`array`],
+      sprite: [`string`],
+      pan: [`number`],
+      playingEvents: [`object`, `boolean`],
+      scope: [`array`],
+    },
+    values: {
+      curve: [`linear`, `exponential`, `equal-power`],
+      then: [`stop`, `pause`],
+    },
+    ranges: {
+      volume: [0, 100],
+      pan: [-100, 100],
+    },
+    required: [`id`],
+    requires: {
+      crossfade: [`to`],
+    },
+    cue: cueSchema,
+  },
+  global: {
+    actions: [
+      `pauseAll`,
+      `resumeAll`,
+      `stopAll`,
+      `mute`,
+      `unmute`,
+      `unload`,
+      `destroy`,
+    ],
+    fields: {
+      action: [`string`],
+      scope: [`array`],
+    },
+    required: [`action`],
+  },
+  state: {
+    fields: {
+      tracks: [`object`],
+      scope: [`array`],
+    },
+    required: [`tracks`],
+    track: {
+      fields: {
+        src: [`string`],
+        playing: [`boolean`],
+        volume: [`number`],
+        position: [`number`],
+        channel: [`string`],
+      },
+      ranges: {
+        volume: [0, 100],
+      },
+      required: [`src`],
+    },
+  },
+  queue: {
+    actions: [
+      `enqueue`,
+      `replace`,
+      `remove`,
+      `move`,
+      `next`,
+      `previous`,
+      `jumpTo`,
+      `shuffle`,
+      `repeat`,
+    ],
+    fields: {
+      queue: [`string`],
+      src: [`string`, `array`],
+      at: [`number`],
+      index: [`number`],
+      from: [`number`],
+      to: [`number`],
+      enabled: [`boolean`],
+      mode: [`string`],
+      scope: [`array`],
+    },
+    values: {
+      mode: [`none`, `one`, `all`],
+    },
+    required: [`queue`],
+    requires: {
+      enqueue: [`src`],
+      replace: [`src`],
+      jumpTo: [`index`],
+      move: [`from`, `to`],
+      repeat: [`mode`],
+    },
+  },
+  mixer: {
+    actions: [
+      `volume`,
+      `mute`,
+      `unmute`,
+      `toggleMute`,
+    ],
+    fields: {
+      mixer: [`string`],
+      bus: [`string`],
+      volume: [`number`],
+      scope: [`array`],
+    },
+    ranges: {
+      volume: [0, 100],
+    },
+    required: [`mixer`],
+    requires: {
+      volume: [`volume`],
+    },
+  },
+}
+
+function commandKind(command) {
+  if (command.queue) { return `queue` }
+  if (command.mixer) { return `mixer` }
+  if (command.tracks) { return `state` }
+  if (command.id && !command.src) { return `sound` }
+  if (command.action) { return `global` }
+  return `load`
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? `array` : typeof value
+}
+
+function fieldProblem(schema, command) {
+  const fields = Object.keys(command)
+  const unknown = fields.filter(field => !schema.fields[field])[0]
+  if (unknown) { return `Unknown field "${unknown}"` }
+
+  const mistyped = fields.filter(field => command[field] !== null &&
+    schema.fields[field].indexOf(typeOf(command[field])) === -1)[0]
+  if (mistyped) {
+    return `Field "${mistyped}" must be ` +
+      schema.fields[mistyped].join(` or `)
+  }
+
+  const values = schema.values || {}
+  const unexpected = fields.filter(field => values[field] &&
+    command[field] !== null && values[field].indexOf(command[field]) === -1)[0]
+  if (unexpected) {
+    return `Field "${unexpected}" must be one of ` +
+      values[unexpected].join(`, `)
+  }
+
+  const ranges = schema.ranges || {}
+  const outside = fields.filter(field => ranges[field] &&
+    (command[field] < ranges[field][0] || command[field] > ranges[field][1]))[0]
+  if (outside) {
+    return `Field "${outside}" must be from ${ranges[outside].join(` to `)}`
+  }
+
+  return null
+}
+
+function validateTracks(schema, command) {
+  const problems = Object.keys(command.tracks).map(name => {
+    const track = command.tracks[name]
+    if (typeOf(track) !== `object` || track === null) {
+      return `Track "${name}" must be an object`
+    }
+
+    const missing = schema.required.filter(field => !track[field])[0]
+    const problem = missing ?
+      `Field "${missing}" is required` :
+      fieldProblem(schema, track)
+    return problem && `${problem} in track "${name}"`
+  }).filter(Boolean)
+
+  return problems.length ?
+    makeError(`INVALID_COMMAND`, command, problems[0]) :
+    null
+}
+
+function validateCues(schema, command) {
+  if (!command.cues) { return null }
+
+  const problems = command.cues.map((cue, index) => {
+    if (typeOf(cue) !== `object` || cue === null) {
+      return `Cue ${index} must be an object`
+    }
+
+    const missing = schema.required
+      .filter(field => !(field in cue) || cue[field] === null)[0]
+    const problem = missing ?
+      `Field "${missing}" is required` :
+      fieldProblem(schema, cue)
+    return problem && `${problem} in cue ${index}`
+  }).filter(Boolean)
+
+  return problems.length ?
+    makeError(`INVALID_COMMAND`, command, problems[0]) :
+    null
+}
+
+// Sprites are only defined on load, so a string names one to play.
+function validateSprites(command) {
+  const sprites = typeOf(command.sprite) === `object` ? command.sprite : {}
+  const invalid = Object.keys(sprites).filter(name => {
+    const segment = sprites[name]
+    return typeOf(segment) !== `array` || segment.length !== 2 ||
+      segment.some(time => typeof time !== `number`) ||
+      segment[1] <= segment[0]
+  })[0]
+
+  return invalid ?
+    makeError(`INVALID_COMMAND`, command,
+      `Sprite "${invalid}" must be [start, end]`) :
+    null
+}
+
+function commandAction(kind, command) {
+  return kind === `queue` || kind === `mixer` ? command[kind] : command.action
+}
+
+function actionProblem(schema, kind, command) {
+  const action = commandAction(kind, command)
+  if (!schema.actions || !action) { return null }
+
+  if (schema.actions.indexOf(action) === -1) {
+    return makeError(`UNSUPPORTED_ACTION`, command,
+      `Unsupported ${kind} action "${action}"`)
+  }
+
+  const needed = (schema.requires || {})[action] || []
+  const missing = needed.filter(field => !(field in command))[0]
+  return missing ?
+    makeError(`INVALID_COMMAND`, command,
+      `Field "${missing}" is required by ${kind} action "${action}"`) :
+    null
+}
+
+// Checks the parts of a command that have a shape of their own.
+function validateParts(schema, command) {
+  return validateCues(schema.cue, command) || validateSprites(command)
+}
+
+/**
+* Checks a command against `commandSchema`.
+*
+* @param {Object} command - the command to check.
+* @return {Object} null when the command is valid, otherwise the error to
+* report, with `code`, `message` and the `command`.
+* @function validateCommand
+**/
+function validateCommand(command) {
+  if (typeOf(command) !== `object` || command === null) {
+    return makeError(`INVALID_COMMAND`, command, `Commands must be objects`)
+  }
+
+  const kind = commandKind(command)
+  const schema = commandSchema[kind]
+
+  if (kind === `load` && !command.src) {
+    return makeError(`MISSING_SRC`, command)
+  }
+
+  const problem = fieldProblem(schema, command)
+  if (problem) {
+    return makeError(`INVALID_COMMAND`, command,
+      `${problem} in ${kind} command`)
+  }
+
+  if (kind === `state`) { return validateTracks(schema.track, command) }
+
+  return actionProblem(schema, kind, command) ||
+    validateParts(schema, command)
+}
+
+export {commandSchema, commandKind, validateCommand}
@@ -0,0 +1,30 @@
+import {isPlaying} from './events'
+
+// Calls `onEnd` when a playing sound reaches `end`. `watch` is called on each
+// playing tick, and times the rest itself rather than waiting for a tick
+// past the end, as backends tick as seldom as every 250 ms.
+function makeEndWatcher(timers) {
+  const pending = {}
+
+  function cancel(sound) {
+    timers.clearTimeout(pending[sound.id])
+    delete pending[sound.id]
+  }
+
+  function watch(sound, end, onEnd) {
+    cancel(sound)
+    if (!isPlaying(sound)) { return }
+
+    const remaining = (end - sound.position) / (sound.rate || 1)
+    if (remaining <= 0) {
+      onEnd(sound)
+    } else {
+      pending[sound.id] = timers.setTimeout(
+        () => watch(sound, end, onEnd), remaining)
+    }
+  }
+
+  return {watch, cancel}
+}
+
+export {makeEndWatcher}
@@ -0,0 +1,84 @@
+import {
+  subscribeStream,
+  subscribeAny,
+  filterStream,
+  mapStream,
+} from './observable'
+import {withinScope, isolateCommands, isolateEvents} from './isolate'
+
+function isSoundEvent(evt) {
+  return typeof evt.playing === `boolean`
+}
+
+// The state a sound event leaves its sound in.
+function soundState(evt) {
+  if (evt.event === `unload`) { return `unloaded` }
+  if (evt.playing) { return `playing` }
+  if (evt.paused) { return `paused` }
+  return evt.loaded ? `stopped` : `loading`
+}
+
+// Like the DOM driver's selectors, a name picks out a sound by its id, a
+// track by its name, or everything within an isolated scope of that name
+// nested in the source's own `scope`, as `isolateSource` would.
+function selects(selector, scope, evt) {
+  const inScope = withinScope(evt.scope, [selector].concat(scope))
+  return evt.id === selector || evt.track === selector || inScope
+}
+
+function positions(events) {
+  return mapStream(
+    filterStream(events,
+      evt => isSoundEvent(evt) && typeof evt.position === `number`),
+    ({id, position, duration}) => ({id, position, duration}))
+}
+
+// Each sound's state, emitted only when it changes.
+function stateChanges(events) {
+  const states = mapStream(filterStream(events, isSoundEvent),
+    evt => ({id: evt.id, state: soundState(evt)}))
+
+  return {
+    subscribe: observer => {
+      const last = {}
+
+      return states.subscribe({
+        next: ({id, state}) => {
+          if (last[id] === state) { return }
+          last[id] = state
+          observer.next({id, state})
+        },
+      })
+    },
+  }
+}
+
+// Builds the source of sound events in the app's own stream type, with the
+// selector helpers and isolation. `scope` holds the scopes it is already
+// isolated within, innermost first.
+function makeAudioSource(events, adapter, scope = []) {
+  // Adapters give back streams they take for their own untouched, and RxJS
+  // 5's takes anything with `subscribe`, so the driver's streams go in boxed.
+  const adapt = stream => adapter.adapt({stream},
+    (origin, observer) => subscribeStream(origin.stream, observer))
+
+  return Object.assign(adapt(events), {
+    select: selector =>
+      makeAudioSource(
+        filterStream(events, evt => selects(selector, scope, evt)),
+        adapter, scope),
+    events: name => adapt(filterStream(events, evt => evt.event === name)),
+    position$: adapt(positions(events)),
+    state$: adapt(stateChanges(events)),
+    errors$: adapt(filterStream(events, evt => evt.event === `error`)),
+
+    isolateSource: (source, name) => {
+      const path = [name].concat(scope)
+      return makeAudioSource(isolateEvents(events, path), adapter, path)
+    },
+    isolateSink: (sink, name) => adapt(isolateCommands(
+      {subscribe: observer => subscribeAny(sink, observer)}, name)),
+  })
+}
+
+export {makeAudioSource}
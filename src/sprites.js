@@ -0,0 +1,69 @@
+import {makeEndWatcher} from './segments'
+
+// The `[start, end]` of a sound's sprite, or null for a name it wasn't loaded
+// with, including those its sprites object inherits.
+function spriteOf(sound, name) {
+  const {sprites} = sound
+  return sprites && Object.prototype.hasOwnProperty.call(sprites, name) ?
+    sprites[name] :
+    null
+}
+
+// Plays the sprites of sounds, named segments given on load as
+// `{name: [start, end]}` in ms. A sound plays one sprite at a time, and
+// stops at the end of it.
+function makeSpritePlayer({timers, onEnd}) {
+  const watcher = makeEndWatcher(timers)
+  const ending = {}
+
+  function clear(sound) {
+    watcher.cancel(sound)
+    sound.sprite = null
+  }
+
+  function end(sound) {
+    const name = sound.sprite
+
+    ending[sound.id] = true
+    sound.stop()
+    delete ending[sound.id]
+
+    clear(sound)
+    onEnd(sound, name)
+  }
+
+  return {
+    clear,
+
+    // Moves to the start of the command's sprite before the sound plays.
+    // Playing without a sprite, or stopping, plays the whole sound again.
+    select(sound, command) {
+      const {action, sprite} = command
+
+      if (action === `play` && sprite) {
+        sound.sprite = sprite
+        sound.setPosition(spriteOf(sound, sprite)[0])
+      } else if (action === `play` || action === `stop`) {
+        clear(sound)
+      }
+    },
+
+    check(sound) {
+      if (sound.sprite) {
+        watcher.watch(sound, spriteOf(sound, sound.sprite)[1], end)
+      }
+    },
+
+    // Whether the sound is stopping because its sprite ended, rather than
+    // being stopped.
+    isEnding(sound) {
+      return Boolean(ending[sound.id])
+    },
+
+    handleEvent(evt) {
+      if (evt.event === `unload`) { watcher.cancel({id: evt.id}) }
+    },
+  }
+}
+
+export {spriteOf, makeSpritePlayer}
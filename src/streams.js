@@ -0,0 +1,71 @@
+const RECONNECT = {attempts: 5, delay: 1000}
+
+// Opens the stream again, with the backend's own `reconnect` where it has
+// one.
+function reopen(sound) {
+  if (typeof sound.reconnect === `function`) {
+    sound.reconnect()
+  } else {
+    sound.stop()
+    sound.play()
+  }
+}
+
+// Keeps live streams playing through dropped connections. Each attempt
+// waits `delay` ms longer than the one before, and after `attempts` failed
+// attempts the stream is given up on. A sound's `reconnection` is `false` to
+// never reconnect, or overrides `attempts` and `delay`.
+function makeReconnector({timers, onReconnecting, onReconnected, onFailed}) {
+  const pending = {}
+
+  function cancel(sound) {
+    const entry = pending[sound.id]
+    if (!entry) { return }
+
+    timers.clearTimeout(entry.timer)
+    delete pending[sound.id]
+  }
+
+  function drop(sound) {
+    const settings = sound.reconnection === false ?
+      {attempts: 0} :
+      {...RECONNECT, ...sound.reconnection}
+    const entry = pending[sound.id] || {attempt: 0, timer: null}
+    // Backends may report one drop twice, as a failure and as a finish.
+    if (entry.timer) { return }
+
+    if (entry.attempt >= settings.attempts) {
+      cancel(sound)
+      onFailed(sound)
+      return
+    }
+
+    entry.attempt += 1
+    entry.timer = timers.setTimeout(() => {
+      entry.timer = null
+      reopen(sound)
+    }, settings.delay * entry.attempt)
+    pending[sound.id] = entry
+    onReconnecting(sound)
+  }
+
+  // A stream that plays on after an attempt has reconnected.
+  function playing(sound) {
+    const entry = pending[sound.id]
+    if (!entry || entry.timer) { return }
+
+    delete pending[sound.id]
+    onReconnected(sound)
+  }
+
+  return {
+    drop,
+    playing,
+    cancel,
+    handleEvent(evt) {
+      if (evt.event === `unload`) { cancel({id: evt.id}) }
+    },
+  }
+}
+
+export {makeReconnector}
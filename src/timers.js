@@ -0,0 +1,19 @@
+// The clock the driver times things with. Backends with a clock of their
+// own, like the fake backend, provide `now`, `setTimeout` and `clearTimeout`.
+function timersFor(backend) {
+  if (typeof backend.setTimeout === `function`) {
+    return {
+      now: () => backend.now(),
+      setTimeout: (fn, ms) => backend.setTimeout(fn, ms),
+      clearTimeout: timer => backend.clearTimeout(timer),
+    }
+  }
+
+  return {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: timer => clearTimeout(timer),
+  }
+}
+
+export {timersFor}
@@ -0,0 +1,129 @@
+/* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
+/*global describe, it, beforeEach, afterEach */
+import expect from 'unexpected'
+import {Subject} from 'rx'
+import {makeAudioDriver, makeHTMLAudioBackend} from '../src'
+
+// A stand-in for the browser's `Audio`, an `HTMLAudioElement` whose events
+// the specs fire themselves. `play()` is rejected when `rejectPlay` is set,
+// as browsers do when autoplay is not allowed.
+function makeAudioElement(browser) {
+  const listeners = {}
+
+  const audio = {
+    src: '',
+    preload: 'auto',
+    currentTime: 0,
+    duration: NaN,
+    volume: 1,
+    muted: false,
+    paused: true,
+    playbackRate: 1,
+    defaultPlaybackRate: 1,
+    buffered: {length: 0, start: () => 0, end: () => 0},
+    addEventListener(name, listener) { listeners[name] = listener },
+    removeEventListener(name) { delete listeners[name] },
+    removeAttribute(name) { audio[name] = '' },
+    load() {},
+    play() {
+      if (browser.rejectPlay) {
+        return Promise.reject(new Error('NotAllowedError'))
+      }
+      audio.paused = false
+      return Promise.resolve()
+    },
+    pause() { audio.paused = true },
+    fire(name) { listeners[name]() },
+  }
+
+  browser.elements.push(audio)
+  return audio
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve))
+}
+
+describe('html audio backend', function() {
+  let browser = null
+
+  beforeEach(function() {
+    browser = {elements: [], rejectPlay: false}
+    global.window = {Audio: function Audio() {
+      return makeAudioElement(browser)
+    }}
+  })
+
+  afterEach(function() {
+    delete global.window
+  })
+
+  // Starts a driver on the backend, and loads a sound once it is set up.
+  function start() {
+    const cmds$ = new Subject()
+    const events = []
+
+    makeAudioDriver({backend: makeHTMLAudioBackend()})(cmds$)
+      .subscribe(evt => events.push(evt))
+
+    return settle().then(() => {
+      cmds$.onNext({src: 'song.mp3'})
+      const audio = browser.elements[0]
+      audio.duration = 1.2
+      audio.fire('canplaythrough')
+
+      return {cmds$, events, audio}
+    })
+  }
+
+  it('loads and plays sounds through an audio element', function() {
+    return start().then(({cmds$, events, audio}) => {
+      cmds$.onNext({id: 'sound0', action: 'play'})
+      audio.currentTime = 0.3
+      audio.fire('timeupdate')
+
+      expect(audio, 'to satisfy', {src: 'song.mp3', paused: false})
+      expect(events.map(evt => evt.event), 'to equal',
+        ['load', 'play', 'update', 'playing'])
+      expect(events[0], 'to satisfy', {id: 'sound0', duration: 1200})
+      expect(events[3], 'to satisfy', {position: 300, playing: true})
+    })
+  })
+
+  it('stops a sound whose play the browser rejects', function() {
+    let running = null
+
+    return start()
+      .then(driver => {
+        running = driver
+        browser.rejectPlay = true
+        driver.cmds$.onNext({id: 'sound0', action: 'play'})
+        return settle()
+      })
+      .then(() => {
+        const {cmds$, events} = running
+        cmds$.onNext({id: 'sound0', volume: 50})
+
+        expect(events.filter(evt => evt.event === 'error'), 'to satisfy', [
+          {id: 'sound0', error: {code: 'PLAYBACK_FAILED'}},
+        ])
+        expect(events.slice(-1)[0], 'to satisfy', {
+          event: 'update',
+          playing: false,
+          paused: false,
+        })
+      })
+  })
+
+  it('sets the rate and pitch on the element', function() {
+    return start().then(({cmds$, audio}) => {
+      cmds$.onNext({id: 'sound0', rate: 1.5, preservePitch: false})
+
+      expect(audio, 'to satisfy', {
+        playbackRate: 1.5,
+        defaultPlaybackRate: 1.5,
+        preservesPitch: false,
+      })
+    })
+  })
+})
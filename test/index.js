@@ -1,26 +1,71 @@
 /* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
-/*global mocha, describe, it */
+/*global describe, it */
 import expect from 'unexpected'
 import {Observable, Subject} from 'rx'
-import {makeAudioDriver} from '../src'
-
-mocha.globals([
-  '__flash__arrayToXML',
-  '__flash__argumentsToXML',
-  '__flash__objectToXML',
-  '__flash__escapeXML',
-  '__flash__toXML',
-  '__flash__request',
-  '__flash_temp',
-  '__flash__addCallback',
-  '__flash__removeCallback',
-])
-
-const audioDriver = makeAudioDriver({
-  debugMode: false,
-  preferFlash: true,
-  useHTML5Audio: false,
-})
+import RxAdapter from '@cycle/rx-adapter'
+import XStreamAdapter from '@cycle/xstream-adapter'
+import MostAdapter from '@cycle/most-adapter'
+import RxJSAdapter from '@cycle/rxjs-adapter'
+import {
+  makeAudioDriver,
+  makeFakeBackend,
+  commandSchema,
+  validateCommand,
+} from '../src'
+
+const TEST_SOURCES = {
+  '/test/test.mp3': {duration: 1200, loadTime: 20},
+  '/test/test2.mp3': {duration: 800, loadTime: 40},
+  '/test/missing.mp3': {fail: true},
+}
+
+// A driver on a fake backend. The driver takes the `channels`, `maxSounds`
+// and `playingEvents` options, and the rest script the backend, such as a
+// `duration` for every sound or `sources` scripts by url.
+function makeTestDriver(options = {}) {
+  const {channels, maxSounds, playingEvents, ...script} = options
+  const backend = makeFakeBackend({
+    tickInterval: 50,
+    ...script,
+    sources: {...TEST_SOURCES, ...script.sources},
+  })
+  const audioDriver = makeAudioDriver({
+    backend,
+    channels,
+    maxSounds,
+    playingEvents,
+  })
+
+  return {backend, audioDriver}
+}
+
+// Runs a test driver on commands sent to `cmds$`, keeping its events.
+function startTestDriver(options) {
+  const {backend, audioDriver} = makeTestDriver(options)
+  const cmds$ = new Subject()
+  const audio = audioDriver(cmds$)
+  const events = []
+  const subscription = audio.subscribe(evt => events.push(evt))
+
+  return {backend, cmds$, audio, events, subscription}
+}
+
+function named(events, name) {
+  return events.filter(evt => evt.event === name)
+}
+
+// Keeps the values of a stream of any library, subscribed through its
+// adapter.
+function collect(stream, adapter = RxAdapter) {
+  const values = []
+  const dispose = adapter.streamSubscribe(stream, {
+    next: value => values.push(value),
+    error: () => null,
+    complete: () => null,
+  })
+
+  return {values, dispose}
+}
 
 function matches(obj, match) {
   return Object.keys(match).every(key => obj[key] === match[key])
@@ -38,154 +83,1636 @@ function(ex, subject, spec) {
 })
 
 describe('soundmanager driver', function() {
-  it('loads an audio file when it receives the first command', function(done) {
-    const audio$ = audioDriver(
-      Observable.just({src: '/test/test.mp3'}))
-
-    audio$.subscribe(function(audio) {
-      expect(audio, 'to satisfy', {
-        src: '/test/test.mp3',
-        event: 'load',
-        muted: false,
-        playing: false,
-        paused: false,
-      })
+  it('loads an audio file when it receives the first command', function() {
+    const {backend, audioDriver} = makeTestDriver()
+    const events = []
 
-      // Different browsers report differing durations!
-      expect(audio.duration, 'to be greater than', 1140)
+    audioDriver(Observable.just({src: '/test/test.mp3'}))
+      .subscribe(evt => events.push(evt))
 
-      expect(audio, 'to not have key', 'error')
-      expect(audio, 'to have key', 'id')
+    expect(events, 'to be empty')
+    backend.advance(20)
 
-      done()
+    expect(events, 'to have length', 1)
+    expect(events[0], 'to satisfy', {
+      src: '/test/test.mp3',
+      event: 'load',
+      muted: false,
+      playing: false,
+      paused: false,
+      loaded: true,
+      duration: 1200,
     })
+    expect(events[0], 'to not have key', 'error')
+    expect(events[0], 'to have key', 'id')
   })
 
-  it('plays audio when it receives the play command', function(done) {
-    this.timeout(4000)
+  it('reports an error when the audio file cannot be loaded', function() {
+    const {backend, audioDriver} = makeTestDriver()
+    const events = []
+
+    audioDriver(Observable.just({src: '/test/missing.mp3'}))
+      .subscribe(evt => events.push(evt))
+    backend.advance(20)
+
+    expect(events, 'to satisfy', [{
+      event: 'error',
+      src: '/test/missing.mp3',
+      error: {
+        code: 'LOAD_FAILED',
+        message: 'Could not load or decode sound',
+        command: {src: '/test/missing.mp3'},
+      },
+    }])
+  })
 
+  it('plays audio when it receives the play command', function() {
+    const {backend, audioDriver} = makeTestDriver()
     const cmds$ = new Subject()
     const audio$ = audioDriver(cmds$).share()
+    const events = []
 
+    audio$.subscribe(evt => events.push(evt))
     audio$.filter(evt => evt.event === 'load')
       .subscribe(evt => cmds$.onNext({action: 'play', id: evt.id}))
 
-    audio$.buffer(audio$.filter(evt => evt.event === 'finish'))
-      .subscribe(events => {
-        expect(events.map(evt => evt.event), 'to contain', 'load')
-        expect(events.map(evt => evt.event), 'to contain', 'play')
-        expect(events.map(evt => evt.event), 'to contain', 'playing')
-        expect(events.map(evt => evt.event), 'to contain', 'finish')
-
-        expect(events.slice(-1)[0], 'to satisfy', {
-          event: 'finish',
-          playing: false,
-          paused: false,
-        })
-        done()
-      })
-
     cmds$.onNext({src: '/test/test.mp3'})
-  })
+    backend.advance(2000)
 
-  it('can pause and resume the audio', function(done) {
-    this.timeout(4000)
+    const names = events.map(evt => evt.event)
+    expect(names, 'to contain', 'load', 'play', 'playing', 'finish')
+    expect(names.filter(name => name === 'playing'), 'to have length', 23)
 
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'finish',
+      playing: false,
+      paused: false,
+    })
+  })
+
+  it('can pause and resume the audio', function() {
+    const {backend, audioDriver} = makeTestDriver()
     const cmds$ = new Subject()
     const audio$ = audioDriver(cmds$).share()
+    const events = []
 
+    audio$.subscribe(evt => events.push(evt))
     audio$.first(evt => evt.event === 'load')
       .subscribe(evt => cmds$.onNext({action: 'play', id: evt.id}))
-
     audio$.first(evt => evt.event === 'playing')
       .subscribe(evt => cmds$.onNext({action: 'pause', id: evt.id}))
 
-    audio$.first(evt => evt.event === 'pause')
-      .subscribe(evt => {
-        expect(evt, 'to satisfy', {paused: true, playing: false})
-        cmds$.onNext({action: 'play', id: evt.id})
-      })
+    cmds$.onNext({src: '/test/test.mp3'})
+    backend.advance(1000)
 
-    audio$.buffer(audio$.filter(evt => evt.event === 'finish'))
-      .subscribe(events => {
-        expect(events.map(evt => evt.event), 'to contain', 'pause')
-        expect(events.map(evt => evt.event), 'to contain', 'playing')
+    const pause = events.filter(evt => evt.event === 'pause')[0]
+    expect(pause, 'to satisfy', {paused: true, playing: false, position: 50})
+    expect(events.slice(events.indexOf(pause)),
+      'to not have item satisfying', {event: 'playing'})
 
-        done()
-      })
+    cmds$.onNext({action: 'play', id: pause.id})
+    backend.advance(2000)
 
-    cmds$.onNext({src: '/test/test.mp3'})
+    const names = events.map(evt => evt.event)
+    expect(names, 'to contain', 'pause', 'playing', 'finish')
   })
 
-  it('can stop the audio', function(done) {
-    this.timeout(4000)
-
+  it('can stop the audio', function() {
+    const {backend, audioDriver} = makeTestDriver()
     const cmds$ = new Subject()
     const audio$ = audioDriver(cmds$).share()
+    const events = []
 
-    audio$.first(evt => evt.event === 'load')
-      .subscribe(evt => {
-        cmds$.onNext({action: 'play', id: evt.id})
-        setTimeout(() => cmds$.onNext({action: 'stop', id: evt.id}), 200)
-      })
-
+    audio$.subscribe(evt => events.push(evt))
     audio$.filter(evt => evt.event === 'playing')
       .skip(2).first()
       .subscribe(evt => cmds$.onNext({action: 'stop', id: evt.id}))
-
-    audio$.buffer(audio$.filter(evt => evt.event === 'stop'))
-      .subscribe(events => {
-        expect(events.slice(-1)[0], 'to satisfy', {
-          event: 'stop',
-          playing: false,
-          paused: false,
-        })
-        done()
-      })
+    audio$.first(evt => evt.event === 'load')
+      .subscribe(evt => cmds$.onNext({action: 'play', id: evt.id}))
 
     cmds$.onNext({src: '/test/test.mp3'})
-  })
+    backend.advance(2000)
 
-  it('can load multiple files and will only play one at a time',
-  function(done) {
-    this.timeout(4000)
+    const stop = events.filter(evt => evt.event === 'stop')[0]
+    expect(stop, 'to satisfy', {playing: false, paused: false})
+    expect(events, 'to not have item satisfying', {event: 'finish'})
+  })
 
+  it('can load multiple files and will only play one at a time', function() {
+    const {backend, audioDriver} = makeTestDriver()
     const cmds$ = new Subject()
     const audio$ = audioDriver(cmds$).share()
+    const events = []
 
+    audio$.subscribe(evt => events.push(evt))
     Observable.zip(
       audio$.first(evt => evt.event === 'load' && evt.src === '/test/test.mp3'),
       audio$.first(evt => evt.event === 'load' && evt.src === '/test/test2.mp3')
     )
     .subscribe(([evt1, evt2]) => {
       cmds$.onNext({action: 'play', id: evt1.id})
-      setTimeout(() =>
-        cmds$.onNext({action: 'play', id: evt2.id}), 200)
-    })
-
-    audio$.buffer(audio$.filter(evt =>
-      evt.event === 'finish' && evt.src === '/test/test2.mp3'))
-      .subscribe(events => {
-        expect(events, 'to have item satisfying', {
-          event: 'load', src: '/test/test.mp3'})
-        expect(events, 'to have item satisfying', {
-          event: 'play', src: '/test/test.mp3'})
-        expect(events, 'to have item satisfying', {
-          event: 'pause', src: '/test/test.mp3'})
-        expect(events, 'to not have item satisfying', {
-          event: 'finish', src: '/test/test.mp3'})
-
-        expect(events, 'to have item satisfying', {
-          event: 'load', src: '/test/test2.mp3'})
-        expect(events, 'to have item satisfying', {
-          event: 'play', src: '/test/test2.mp3'})
-        expect(events, 'to have item satisfying', {
-          event: 'finish', src: '/test/test2.mp3'})
-
-        done()
-      })
+      backend.advance(200)
+      cmds$.onNext({action: 'play', id: evt2.id})
+    })
 
     cmds$.onNext({src: '/test/test.mp3'})
     cmds$.onNext({src: '/test/test2.mp3'})
+    backend.advance(2000)
+
+    expect(events, 'to have item satisfying', {
+      event: 'load', src: '/test/test.mp3'})
+    expect(events, 'to have item satisfying', {
+      event: 'play', src: '/test/test.mp3'})
+    expect(events, 'to have item satisfying', {
+      event: 'pause', src: '/test/test.mp3'})
+    expect(events, 'to not have item satisfying', {
+      event: 'finish', src: '/test/test.mp3'})
+
+    expect(events, 'to have item satisfying', {
+      event: 'load', src: '/test/test2.mp3'})
+    expect(events, 'to have item satisfying', {
+      event: 'play', src: '/test/test2.mp3'})
+    expect(events, 'to have item satisfying', {
+      event: 'finish', src: '/test/test2.mp3'})
+  })
+})
+
+describe('channels', function() {
+  function playAll(channels, loads) {
+    const {backend, cmds$, audio, events} = startTestDriver({channels})
+
+    audio.filter(evt => evt.event === 'load')
+      .subscribe(evt => cmds$.onNext({action: 'play', id: evt.id}))
+
+    loads.forEach(load => cmds$.onNext(load))
+    backend.advance(100)
+
+    return events
+  }
+
+  function paused(events) {
+    return named(events, 'pause').map(evt => evt.src)
+  }
+
+  it('keeps one sound playing in the default channel', function() {
+    const events = playAll({}, [{src: 'a.mp3'}, {src: 'b.mp3'}])
+
+    expect(paused(events), 'to equal', ['a.mp3'])
+  })
+
+  it('plays sounds in different channels together', function() {
+    const events = playAll({}, [
+      {src: 'music.mp3', channel: 'music'},
+      {src: 'jump.mp3', channel: 'sfx'},
+    ])
+
+    expect(paused(events), 'to equal', [])
+    expect(events, 'to have item satisfying', {
+      event: 'play', src: 'jump.mp3', channel: 'sfx'})
+  })
+
+  it('mixes sounds in a mix channel', function() {
+    const events = playAll({sfx: 'mix'}, [
+      {src: 'jump.mp3', channel: 'sfx'},
+      {src: 'coin.mp3', channel: 'sfx'},
+      {src: 'hit.mp3', channel: 'sfx'},
+    ])
+
+    expect(paused(events), 'to equal', [])
+  })
+
+  it('pauses the longest playing sound past the channel limit', function() {
+    const events = playAll({voice: 2}, [
+      {src: 'a.mp3', channel: 'voice'},
+      {src: 'b.mp3', channel: 'voice'},
+      {src: 'c.mp3', channel: 'voice'},
+    ])
+
+    expect(paused(events), 'to equal', ['a.mp3'])
+  })
+
+  it('leaves the channel alone when resuming a sound that is not paused',
+    function() {
+      const {backend, cmds$, events} = startTestDriver()
+
+      cmds$.onNext({src: 'a.mp3', id: 'a'})
+      cmds$.onNext({src: 'b.mp3', id: 'b'})
+      backend.advance(100)
+      cmds$.onNext({id: 'a', action: 'play'})
+      cmds$.onNext({id: 'b', action: 'resume'})
+      backend.advance(100)
+
+      expect(paused(events), 'to equal', [])
+      expect(backend.sounds.a.playState, 'to equal', 1)
+    })
+
+  it('makes room for a sound toggled back to playing', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'a.mp3', id: 'a'})
+    cmds$.onNext({src: 'b.mp3', id: 'b'})
+    backend.advance(100)
+    cmds$.onNext({id: 'a', action: 'play'})
+    cmds$.onNext({id: 'a', action: 'togglePause'})
+    cmds$.onNext({id: 'b', action: 'play'})
+    cmds$.onNext({id: 'a', action: 'togglePause'})
+    backend.advance(100)
+
+    expect(paused(events), 'to equal', ['a.mp3', 'b.mp3'])
+    expect(backend.sounds.a.paused, 'to be false')
+    expect(backend.sounds.b.paused, 'to be true')
+  })
+})
+
+describe('chosen ids', function() {
+  it('addresses sounds by the id they were loaded with', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'step.mp3', id: 'left'})
+    cmds$.onNext({src: 'step.mp3', id: 'right'})
+    cmds$.onNext({id: 'right', action: 'play'})
+    backend.advance(100)
+
+    expect(events, 'to have item satisfying', {event: 'load', id: 'left'})
+    expect(events, 'to have item satisfying', {event: 'play', id: 'right'})
+    expect(events, 'to not have item satisfying', {event: 'play', id: 'left'})
+    expect(backend.sounds.right.playState, 'to equal', 1)
+  })
+
+  it('rejects an id that is already loaded', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'theme.mp3', id: 'theme'})
+    cmds$.onNext({src: 'other.mp3', id: 'theme'})
+    backend.advance(100)
+
+    expect(backend.sounds.theme.url, 'to equal', 'theme.mp3')
+    expect(events, 'to have item satisfying', {event: 'error', id: 'theme'})
+    expect(events.filter(evt => evt.event === 'error')[0].error, 'to satisfy', {
+      code: 'DUPLICATE_ID',
+      command: {src: 'other.mp3', id: 'theme'},
+    })
+  })
+
+  it('gives sounds loaded without an id one that is free', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'theme.mp3', id: 'sound0'})
+    cmds$.onNext({src: 'other.mp3'})
+    backend.advance(100)
+
+    expect(backend.sounds.sound0.url, 'to equal', 'theme.mp3')
+    expect(backend.sounds.sound1.url, 'to equal', 'other.mp3')
+    expect(events, 'to not have item satisfying', {event: 'error'})
+  })
+})
+
+describe('playing events', function() {
+  function positions(options, load, commands = []) {
+    const {backend, cmds$, events} = startTestDriver(options)
+
+    cmds$.onNext(load)
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    commands.forEach(command => cmds$.onNext(command))
+    backend.advance(500)
+
+    return named(events, 'playing').map(evt => evt.position)
+  }
+
+  it('emits a playing event on every tick by default', function() {
+    expect(positions({}, {src: 'a.mp3'}), 'to equal',
+      [50, 100, 150, 200, 250, 300, 350, 400, 450])
+  })
+
+  it('waits an interval or a change of position between events', function() {
+    expect(positions({playingEvents: {interval: 200}}, {src: 'a.mp3'}),
+      'to equal', [50, 250, 450])
+    expect(positions({playingEvents: {delta: 150}}, {src: 'a.mp3'}),
+      'to equal', [50, 200, 350])
+  })
+
+  it('lets each sound override the driver setting', function() {
+    expect(positions({playingEvents: false},
+      {src: 'a.mp3', playingEvents: {interval: 200}}), 'to equal',
+      [50, 250, 450])
+    expect(positions({}, {src: 'a.mp3', playingEvents: false}),
+      'to be empty')
+    expect(positions({}, {src: 'a.mp3'}, [
+      {id: 'sound0', playingEvents: false},
+    ]), 'to be empty')
+  })
+})
+
+describe('loading and buffering', function() {
+  function run(script, commands = []) {
+    const {backend, cmds$, events} = startTestDriver({
+      sources: {'a.mp3': {duration: 1000, ...script}},
+    })
+
+    ;[{src: 'a.mp3'}, ...commands].forEach(command => cmds$.onNext(command))
+    backend.advance(1000)
+
+    return events
+  }
+
+  it('reports the download progress of a sound', function() {
+    const events = run({size: 8000, loadTime: 200})
+    const progress = events.filter(evt => evt.event === 'loading')
+
+    expect(progress.map(evt => evt.bytesLoaded), 'to equal',
+      [2000, 4000, 6000, 8000])
+    expect(progress[1], 'to satisfy', {
+      bytesTotal: 8000,
+      buffered: [{start: 0, end: 500}],
+      loaded: false,
+    })
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'load',
+      buffered: [{start: 0, end: 1000}],
+    })
+  })
+
+  it('reports when playback waits for the download', function() {
+    const events = run({stall: {at: 200, time: 300}}, [
+      {id: 'sound0', action: 'play'},
+    ])
+    const changes = events.filter(evt => /^buffer/.test(evt.event))
+
+    expect(changes, 'to satisfy', [
+      {event: 'buffering', buffering: true, position: 200, playing: true},
+      {event: 'buffered', buffering: false, position: 200},
+    ])
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'playing',
+      position: 650,
+    })
+  })
+})
+
+describe('metadata', function() {
+  it('emits the tags of a sound and keeps them on later events', function() {
+    const {backend, cmds$, events} = startTestDriver({
+      sources: {
+        'radio.mp3': {
+          id3: {TIT2: 'Intro', TPE1: 'The Band', TALB: 'Live'},
+          metadata: {title: 'The Band - Intro'},
+        },
+      },
+    })
+
+    cmds$.onNext({src: 'radio.mp3'})
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    backend.advance(100)
+
+    expect(named(events, 'metadata'), 'to satisfy', [
+      {metadata: {title: 'Intro', artist: 'The Band', streamTitle: null}},
+      {metadata: {title: 'Intro', streamTitle: 'The Band - Intro'}},
+    ])
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'playing',
+      metadata: {album: 'Live', streamTitle: 'The Band - Intro'},
+    })
+  })
+
+  it('leaves metadata empty until the sound has some', function() {
+    const {backend, audioDriver} = makeTestDriver()
+    const events = []
+
+    audioDriver(Observable.just({src: '/test/test.mp3'}))
+      .subscribe(evt => events.push(evt))
+    backend.advance(20)
+
+    expect(events[0], 'to satisfy', {event: 'load', metadata: null})
+  })
+})
+
+describe('live streams', function() {
+  function listen(script, load = {}) {
+    const {backend, cmds$, events} = startTestDriver({
+      sources: {'radio.mp3': {live: true, ...script}},
+    })
+
+    cmds$.onNext({src: 'radio.mp3', stream: true, ...load})
+    cmds$.onNext({id: 'sound0', action: 'play'})
+
+    return {backend, cmds$, events}
+  }
+
+  function eventNames(events) {
+    return events.map(evt => evt.event).filter(name => name !== 'playing')
+  }
+
+  it('plays on without a duration and cannot seek', function() {
+    const {backend, cmds$, events} = listen({duration: 100})
+
+    backend.advance(500)
+    cmds$.onNext({id: 'sound0', position: 100})
+
+    expect(events, 'to have item satisfying', {
+      event: 'playing', position: 450, duration: null, live: true})
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'error',
+      error: {code: 'NOT_SEEKABLE'},
+    })
+  })
+
+  it('reconnects when the stream drops', function() {
+    const {backend, events} = listen({drops: [100, 100]})
+
+    backend.advance(5000)
+
+    expect(eventNames(events), 'to equal', [
+      'play', 'update', 'load',
+      'reconnecting', 'play', 'reconnected',
+      'reconnecting', 'play', 'reconnected',
+    ])
+  })
+
+  it('gives up after its attempts to reconnect', function() {
+    const {backend, events} = listen({drops: [100, 0]},
+      {reconnect: {attempts: 1, delay: 200}})
+
+    backend.advance(5000)
+
+    expect(eventNames(events), 'to equal', [
+      'play', 'update', 'load', 'reconnecting', 'play', 'error',
+    ])
+    expect(events.slice(-1)[0].error.code, 'to equal', 'CONNECTION_LOST')
+  })
+
+  it('reconnects once for a drop reported twice', function() {
+    const {backend, audioDriver} = makeTestDriver({
+      sources: {'radio.mp3': {live: true, drops: [100]}},
+    })
+    const createSound = backend.createSound
+    const cmds$ = new Subject()
+    const events = []
+
+    // Some backends both fail and finish a stream that drops.
+    backend.createSound = options => createSound({
+      ...options,
+      onfailure: () => {
+        options.onfailure()
+        options.onfinish()
+      },
+    })
+    audioDriver(cmds$).subscribe(evt => events.push(evt))
+    cmds$.onNext({src: 'radio.mp3', stream: true})
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    backend.advance(5000)
+
+    expect(eventNames(events), 'to equal', [
+      'play', 'update', 'load', 'reconnecting', 'play', 'reconnected',
+    ])
+  })
+
+  it('stops reconnecting when the stream is stopped', function() {
+    const {backend, cmds$, events} = listen({drops: [100]})
+
+    backend.advance(200)
+    cmds$.onNext({id: 'sound0', action: 'stop'})
+    backend.advance(5000)
+
+    expect(eventNames(events), 'to equal',
+      ['play', 'update', 'load', 'reconnecting', 'update'])
+  })
+})
+
+describe('playback rate', function() {
+  function start(script = {}) {
+    const driver = startTestDriver({
+      sources: {'talk.mp3': {duration: 10000, ...script}},
+    })
+
+    driver.cmds$.onNext({src: 'talk.mp3'})
+    driver.backend.advance(10)
+
+    return driver
+  }
+
+  it('plays faster or slower and reports the rate', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    backend.advance(100)
+    cmds$.onNext({id: 'sound0', rate: 2})
+    backend.advance(100)
+
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'playing',
+      position: 300,
+      rate: 2,
+    })
+    expect(backend.sounds.sound0.preservesPitch, 'to be true')
+  })
+
+  it('can let the pitch change with the rate', function() {
+    const {backend, cmds$} = start()
+
+    cmds$.onNext({id: 'sound0', rate: 0.75, preservePitch: false})
+
+    expect(backend.sounds.sound0.playbackRate, 'to equal', 0.75)
+    expect(backend.sounds.sound0.preservesPitch, 'to be false')
+  })
+
+  it('reports sounds that cannot change rate', function() {
+    const {cmds$, events} = start({fixedRate: true})
+
+    cmds$.onNext({id: 'sound0', rate: 1.5})
+    cmds$.onNext({id: 'sound0', rate: 0})
+
+    expect(events.slice(-2), 'to satisfy', [
+      {event: 'error', error: {code: 'UNSUPPORTED_RATE'}},
+      {event: 'error', error: {code: 'INVALID_COMMAND'}},
+    ])
+  })
+})
+
+describe('panning', function() {
+  function start(script = {}) {
+    return startTestDriver({
+      sources: {'voice.mp3': {duration: 1000, ...script}},
+    })
+  }
+
+  it('pans sounds when loaded and by command', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({src: 'voice.mp3', pan: -40})
+    backend.advance(10)
+    expect(backend.sounds.sound0.pan, 'to equal', -40)
+    expect(events.slice(-1)[0], 'to satisfy', {event: 'load', pan: -40})
+
+    cmds$.onNext({id: 'sound0', pan: 75})
+    expect(backend.sounds.sound0.pan, 'to equal', 75)
+    expect(events.slice(-1)[0], 'to satisfy', {event: 'update', pan: 75})
+  })
+
+  it('rejects pans outside -100 to 100', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({src: 'voice.mp3'})
+    cmds$.onNext({id: 'sound0', pan: 120})
+
+    expect(backend.sounds.sound0.pan, 'to equal', 0)
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'error',
+      error: {
+        code: 'INVALID_COMMAND',
+        message: 'Field "pan" must be from -100 to 100 in sound command',
+      },
+    })
+  })
+
+  it('reports sounds that cannot pan', function() {
+    const {cmds$, events} = start({fixedPan: true})
+
+    cmds$.onNext({src: 'voice.mp3', pan: 20})
+    cmds$.onNext({id: 'sound0', pan: -20})
+
+    expect(events.filter(evt => evt.event === 'error'), 'to satisfy', [
+      {id: 'sound0', error: {code: 'UNSUPPORTED_PAN', command: {pan: 20}}},
+      {id: 'sound0', error: {code: 'UNSUPPORTED_PAN', command: {pan: -20}}},
+    ])
+  })
+})
+
+describe('looping', function() {
+  function start(load, commands = []) {
+    const driver = startTestDriver()
+
+    ;[
+      {src: 'a.mp3', ...load},
+      {id: 'sound0', action: 'play'},
+      ...commands,
+    ].forEach(command => driver.cmds$.onNext(command))
+
+    return driver
+  }
+
+  function wraps(events) {
+    return events.filter(evt => /^(loop|finish)$/.test(evt.event))
+      .map(evt => `${evt.event}@${evt.position}`)
+  }
+
+  it('plays a sound the given number of times', function() {
+    const {backend, events} = start({loop: 3})
+
+    backend.advance(5000)
+    expect(wraps(events), 'to equal', ['loop@0', 'loop@0', 'finish@0'])
+  })
+
+  it('loops forever until told to stop', function() {
+    const {backend, cmds$, events} = start({loop: true})
+
+    backend.advance(3500)
+    cmds$.onNext({id: 'sound0', loop: false})
+    backend.advance(2000)
+
+    expect(wraps(events), 'to equal',
+      ['loop@0', 'loop@0', 'loop@0', 'finish@0'])
+  })
+
+  it('repeats a segment from loopStart to loopEnd', function() {
+    const {backend, events} = start({}, [
+      {id: 'sound0', loopStart: 200, loopEnd: 430},
+    ])
+
+    backend.advance(1000)
+    expect(named(events, 'loop').map(evt => evt.position), 'to equal',
+      [200, 200, 200])
+    expect(named(events, 'playing').every(evt => evt.position <= 430),
+      'to be true')
+  })
+
+  it('wraps at loopEnd between slow playing ticks', function() {
+    const {backend, cmds$, events} = startTestDriver({tickInterval: 250})
+
+    cmds$.onNext({src: 'a.mp3', loopStart: 100, loopEnd: 400})
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    backend.advance(410)
+
+    expect(named(events, 'loop').map(evt => evt.position), 'to equal', [100])
+  })
+})
+
+describe('cue points', function() {
+  function start(load, commands = []) {
+    const driver = startTestDriver()
+
+    ;[
+      {src: 'talk.mp3', ...load},
+      {id: 'sound0', action: 'play'},
+      ...commands,
+    ].forEach(command => driver.cmds$.onNext(command))
+
+    return driver
+  }
+
+  function cues(events) {
+    return named(events, 'cue').map(evt => `${evt.cue}@${evt.position}`)
+  }
+
+  const slides = [
+    {name: 'one', position: 0},
+    {name: 'two', position: 300},
+    {name: 'three', position: 600},
+  ]
+
+  it('emits the cues a sound plays through', function() {
+    const {backend, events} = start({cues: slides})
+
+    backend.advance(700)
+    expect(cues(events), 'to equal', ['one@50', 'two@300', 'three@600'])
+  })
+
+  it('arms cues again after seeking back', function() {
+    const {backend, cmds$, events} = start({cues: slides})
+
+    backend.advance(400)
+    cmds$.onNext({id: 'sound0', position: 100})
+    backend.advance(600)
+
+    expect(cues(events), 'to equal',
+      ['one@50', 'two@300', 'two@300', 'three@600'])
+  })
+
+  it('replaces the cues of a sound', function() {
+    const {backend, events} = start({cues: slides}, [
+      {id: 'sound0', cues: [{name: 'quiz', position: 500}]},
+    ])
+
+    backend.advance(700)
+    expect(cues(events), 'to equal', ['quiz@500'])
+  })
+
+  it('rejects cues without a name or position', function() {
+    expect(validateCommand({src: 'talk.mp3', cues: [{name: 'one'}]}),
+      'to satisfy', {
+        code: 'INVALID_COMMAND',
+        message: 'Field "position" is required in cue 0',
+      })
+  })
+})
+
+describe('audio sprites', function() {
+  function start(commands) {
+    const {backend, cmds$, events} = startTestDriver({duration: 2000})
+
+    cmds$.onNext({
+      src: 'effects.mp3',
+      sprite: {jump: [0, 420], coin: [500, 730]},
+    })
+    backend.advance(10)
+    commands.forEach(command => cmds$.onNext(command))
+    backend.advance(1000)
+
+    return events
+  }
+
+  it('plays just the segment of a sprite', function() {
+    const events = start([{id: 'sound0', action: 'play', sprite: 'coin'}])
+    const playing = events.filter(evt => evt.event === 'playing')
+
+    expect(playing[0], 'to satisfy', {position: 550, sprite: 'coin'})
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'finish',
+      sprite: 'coin',
+      position: 0,
+      playing: false,
+    })
+    expect(events, 'to not have item satisfying', {event: 'stop'})
+  })
+
+  it('ends sprites between slow playing ticks', function() {
+    const {backend, cmds$, events} = startTestDriver({
+      duration: 2000,
+      tickInterval: 250,
+    })
+
+    cmds$.onNext({src: 'effects.mp3', sprite: {jump: [130, 500]}})
+    backend.advance(10)
+    cmds$.onNext({id: 'sound0', action: 'play', sprite: 'jump'})
+    backend.advance(360)
+    expect(backend.sounds.sound0.playState, 'to equal', 1)
+
+    backend.advance(20)
+    expect(backend.sounds.sound0.playState, 'to equal', 0)
+    expect(named(events, 'playing').every(evt => evt.position <= 500),
+      'to be true')
+
+    backend.advance(500)
+    expect(events.slice(-1)[0], 'to satisfy', {event: 'finish', sprite: 'jump'})
+  })
+
+  it('rejects sprites the sound does not have', function() {
+    const events = start([{id: 'sound0', action: 'play', sprite: 'boom'}])
+
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'error',
+      error: {code: 'UNKNOWN_SPRITE'},
+    })
+    expect(start([{id: 'sound0', action: 'play', sprite: 'toString'}])
+      .slice(-1)[0], 'to satisfy', {
+      event: 'error',
+      error: {code: 'UNKNOWN_SPRITE'},
+    })
+    expect(validateCommand({src: 'a.mp3', sprite: {boom: [300, 100]}}),
+      'to satisfy', {message: 'Sprite "boom" must be [start, end]'})
+  })
+})
+
+describe('fades', function() {
+  function loadAll(srcs) {
+    const driver = startTestDriver({duration: 5000})
+
+    srcs.forEach(src => driver.cmds$.onNext({src}))
+    driver.backend.advance(10)
+
+    return driver
+  }
+
+  it('fades a sound in from silence', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'fadeIn', duration: 500, volume: 80})
+    expect(named(events, 'fadestart'), 'to satisfy', [
+      {id: 'sound0', volume: 0, playing: true},
+    ])
+
+    backend.advance(250)
+    expect(backend.sounds.sound0.volume, 'to equal', 40)
+
+    backend.advance(250)
+    expect(named(events, 'fadeend'), 'to satisfy', [
+      {id: 'sound0', volume: 80, playing: true},
+    ])
+  })
+
+  it('stops a faded out sound and puts its volume back', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    cmds$.onNext({id: 'sound0', action: 'fadeOut', then: 'stop'})
+    backend.advance(500)
+    expect(backend.sounds.sound0.volume, 'to equal', 50)
+
+    backend.advance(500)
+    expect(named(events, 'stop'), 'to satisfy', [{volume: 0}])
+    expect(named(events, 'fadeend'), 'to satisfy', [
+      {volume: 100, playing: false},
+    ])
+  })
+
+  it('stops a sound faded out without then', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    cmds$.onNext({id: 'sound0', action: 'fadeOut', duration: 500})
+    backend.advance(500)
+
+    expect(backend.sounds.sound0.playState, 'to equal', 0)
+    expect(named(events, 'fadeend'), 'to satisfy', [
+      {volume: 100, playing: false},
+    ])
+  })
+
+  it('crossfades sounds in the same channel', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3', 'b.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    cmds$.onNext({id: 'sound0', action: 'crossfade', to: 'sound1'})
+    backend.advance(500)
+
+    expect(named(events, 'pause'), 'to be empty')
+    expect(backend.sounds.sound0.volume, 'to equal', 71)
+    expect(backend.sounds.sound1.volume, 'to equal', 71)
+
+    backend.advance(500)
+    expect(named(events, 'fadeend'), 'to satisfy', [
+      {id: 'sound0', playing: false},
+      {id: 'sound1', playing: true, volume: 100},
+    ])
+  })
+
+  it('follows the curve of the fade', function() {
+    const {backend, cmds$} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'fadeTo', volume: 0, duration: 100,
+      curve: 'exponential'})
+    backend.advance(50)
+
+    expect(backend.sounds.sound0.volume, 'to equal', 12)
+  })
+
+  it('takes over from a fade already running', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'fadeTo', volume: 0})
+    backend.advance(500)
+    cmds$.onNext({id: 'sound0', volume: 70})
+    backend.advance(1000)
+
+    expect(backend.sounds.sound0.volume, 'to equal', 70)
+    expect(named(events, 'fadeend'), 'to be empty')
+  })
+
+  it('takes over from a fade with a volume of 0', function() {
+    const {backend, cmds$, events} = loadAll(['a.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'fadeTo', volume: 80})
+    backend.advance(500)
+    cmds$.onNext({id: 'sound0', volume: 0})
+    backend.advance(1000)
+
+    expect(backend.sounds.sound0.volume, 'to equal', 0)
+    expect(named(events, 'update').slice(-1)[0], 'to satisfy', {volume: 0})
+    expect(named(events, 'fadeend'), 'to be empty')
+  })
+
+  it('rejects curves it does not know', function() {
+    expect(validateCommand({id: 'sound0', action: 'fadeIn', curve: 'wobbly'}),
+      'to satisfy', {
+        code: 'INVALID_COMMAND',
+        message: /must be one of linear, exponential, equal-power/,
+      })
+  })
+})
+
+describe('mixer', function() {
+  // The volume the backend plays each sound at.
+  function output(backend) {
+    const volumes = {}
+    Object.keys(backend.sounds).forEach(id => {
+      volumes[id] = backend.sounds[id].volume
+    })
+    return volumes
+  }
+
+  it('plays sounds at master × bus × sound volume', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'theme.mp3', bus: 'music'})
+    cmds$.onNext({src: 'click.mp3'})
+    cmds$.onNext({mixer: 'volume', bus: 'music', volume: 50})
+    cmds$.onNext({mixer: 'volume', volume: 80})
+    cmds$.onNext({id: 'sound0', volume: 50})
+
+    expect(output(backend), 'to equal', {sound0: 20, sound1: 80})
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'update',
+      bus: 'music',
+      volume: 50,
+    })
+  })
+
+  it('mutes buses and the master level', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'theme.mp3', bus: 'music'})
+    cmds$.onNext({src: 'click.mp3', bus: 'sfx'})
+    cmds$.onNext({mixer: 'mute', bus: 'sfx'})
+    expect(output(backend), 'to equal', {sound0: 100, sound1: 0})
+
+    cmds$.onNext({action: 'mute'})
+    expect(output(backend), 'to equal', {sound0: 0, sound1: 0})
+
+    cmds$.onNext({mixer: 'toggleMute'})
+    cmds$.onNext({mixer: 'unmute', bus: 'sfx'})
+    expect(output(backend), 'to equal', {sound0: 100, sound1: 100})
+    expect(events.slice(-1)[0], 'to equal', {
+      event: 'mixer',
+      volume: 100,
+      muted: false,
+      buses: {
+        music: {volume: 100, muted: false},
+        sfx: {volume: 100, muted: false},
+      },
+      scope: undefined,
+    })
+  })
+
+  it('fades through the mix', function() {
+    const {backend, cmds$, events} = startTestDriver()
+
+    cmds$.onNext({src: 'theme.mp3', bus: 'music'})
+    cmds$.onNext({mixer: 'volume', bus: 'music', volume: 50})
+    backend.advance(10)
+    cmds$.onNext({id: 'sound0', action: 'fadeTo', volume: 40, duration: 100})
+    backend.advance(100)
+
+    expect(events.slice(-1)[0], 'to satisfy', {event: 'fadeend', volume: 40})
+    expect(output(backend).sound0, 'to equal', 20)
+  })
+
+  it('rejects volume commands without a volume', function() {
+    const {cmds$, events} = startTestDriver()
+
+    cmds$.onNext({mixer: 'volume', bus: 'music'})
+
+    expect(events.slice(-1)[0], 'to satisfy', {
+      event: 'error',
+      error: {
+        code: 'INVALID_COMMAND',
+        message: 'Field "volume" is required by mixer action "volume"',
+      },
+    })
+  })
+})
+
+describe('unloading', function() {
+  function loadAll(options, srcs) {
+    const driver = startTestDriver(options)
+
+    srcs.forEach(src => driver.cmds$.onNext(src))
+    driver.backend.advance(10)
+
+    return driver
+  }
+
+  function unloaded(events) {
+    return named(events, 'unload').map(evt => evt.src)
+  }
+
+  it('unloads a sound by id', function() {
+    const {backend, cmds$, events} = loadAll({}, [{src: 'a.mp3'}])
+
+    cmds$.onNext({id: 'sound0', action: 'unload'})
+
+    expect(events.slice(-1)[0], 'to satisfy', {
+      id: 'sound0',
+      event: 'unload',
+      src: 'a.mp3',
+      loaded: false,
+    })
+    expect(backend.sounds, 'to equal', {})
+  })
+
+  it('unloads every sound, or every sound in a scope', function() {
+    const {cmds$, events} = loadAll({}, [
+      {src: 'a.mp3', scope: ['player']},
+      {src: 'b.mp3', scope: ['list', 'player']},
+      {src: 'c.mp3', scope: ['menu']},
+    ])
+
+    cmds$.onNext({action: 'unload', scope: ['player']})
+    expect(unloaded(events), 'to equal', ['a.mp3', 'b.mp3'])
+
+    cmds$.onNext({action: 'destroy'})
+    expect(unloaded(events), 'to equal', ['a.mp3', 'b.mp3', 'c.mp3'])
+  })
+
+  it('unloads the least recently used idle sounds past maxSounds',
+  function() {
+    const {cmds$, events} = loadAll({maxSounds: 2}, [
+      {src: 'a.mp3'},
+      {src: 'b.mp3'},
+    ])
+
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    cmds$.onNext({id: 'sound1', volume: 50})
+    cmds$.onNext({src: 'c.mp3'})
+    expect(unloaded(events), 'to equal', ['b.mp3'])
+
+    cmds$.onNext({id: 'sound0', action: 'stop'})
+    cmds$.onNext({id: 'sound2', volume: 50})
+    cmds$.onNext({src: 'd.mp3'})
+    expect(unloaded(events), 'to equal', ['b.mp3', 'a.mp3'])
+  })
+})
+
+describe('selecting', function() {
+  function start() {
+    return startTestDriver({duration: 200})
+  }
+
+  it('selects the events of a sound by id and kind', function() {
+    const {backend, cmds$, audio} = start()
+    const finishes = collect(audio.select('theme').events('finish')).values
+    const themeEvents = collect(audio.select('theme')).values
+
+    cmds$.onNext({src: 'theme.mp3', id: 'theme'})
+    cmds$.onNext({src: 'click.mp3', id: 'click', channel: 'sfx'})
+    cmds$.onNext({id: 'theme', action: 'play'})
+    cmds$.onNext({id: 'click', action: 'play'})
+    backend.advance(300)
+
+    expect(finishes, 'to satisfy', [{id: 'theme', event: 'finish'}])
+    expect(themeEvents.every(evt => evt.id === 'theme'), 'to be true')
+  })
+
+  it('selects the sounds of an isolated scope', function() {
+    const {cmds$, audio} = start()
+    const updates = collect(audio.select('player').events('update')).values
+
+    cmds$.onNext({src: 'a.mp3', scope: ['player']})
+    cmds$.onNext({src: 'b.mp3'})
+    cmds$.onNext({id: 'sound0', volume: 50})
+    cmds$.onNext({id: 'sound1', volume: 50})
+
+    expect(updates, 'to satisfy', [{id: 'sound0', scope: ['player']}])
+  })
+
+  it('selects nested scopes the way isolation does', function() {
+    const {backend, cmds$, audio} = start()
+    const page = collect(audio.select('page')).values
+    const left = collect(audio.select('left')).values
+    const pageLeft = collect(audio.isolateSource(audio, 'page').select('left'))
+      .values
+
+    cmds$.onNext({src: 'a.mp3', scope: ['left', 'page']})
+    cmds$.onNext({src: 'b.mp3', scope: ['page', 'left']})
+    backend.advance(100)
+
+    expect(page.map(evt => evt.src), 'to equal', ['a.mp3'])
+    expect(left.map(evt => evt.src), 'to equal', ['b.mp3'])
+    expect(pageLeft.map(evt => evt.src), 'to equal', ['a.mp3'])
+  })
+
+  it('follows positions, states and errors', function() {
+    const {backend, cmds$, audio} = start()
+    const positions = collect(audio.select('theme').position$).values
+    const states = collect(audio.state$).values
+    const errors = collect(audio.errors$).values
+
+    cmds$.onNext({src: 'theme.mp3', id: 'theme'})
+    backend.advance(10)
+    cmds$.onNext({id: 'theme', action: 'play'})
+    backend.advance(100)
+    cmds$.onNext({id: 'theme', action: 'pause'})
+    cmds$.onNext({id: 'missing', action: 'play'})
+
+    expect(positions.slice(-1)[0], 'to equal', {
+      id: 'theme',
+      position: 100,
+      duration: 200,
+    })
+    expect(states, 'to equal', [
+      {id: 'theme', state: 'stopped'},
+      {id: 'theme', state: 'playing'},
+      {id: 'theme', state: 'paused'},
+    ])
+    expect(errors, 'to satisfy', [
+      {id: 'missing', error: {code: 'SOUND_NOT_FOUND'}},
+    ])
+  })
+})
+
+describe('isolation', function() {
+  function start() {
+    const driver = startTestDriver({channels: {default: 'mix'}})
+    const {cmds$, audio} = driver
+
+    function component(...scopes) {
+      const source = scopes.reduce(
+        (outer, scope) => outer.isolateSource(outer, scope), audio)
+      const seen = []
+      source.subscribe(evt => seen.push(evt))
+
+      return {
+        seen,
+        send: cmd => cmds$.onNext({...cmd, scope: scopes.slice().reverse()}),
+      }
+    }
+
+    return {...driver, component}
+  }
+
+  it('keeps chosen ids apart in each scope', function() {
+    const {backend, events, component} = start()
+    const left = component('page', 'left')
+    const right = component('page', 'right')
+
+    left.send({src: 'theme.mp3', id: 'theme'})
+    right.send({src: 'theme.mp3', id: 'theme'})
+    backend.advance(10)
+    right.send({id: 'theme', action: 'play'})
+
+    expect(Object.keys(backend.sounds), 'to equal',
+      ['page/left/theme', 'page/right/theme'])
+    expect(right.seen, 'to have item satisfying', {id: 'theme', event: 'play'})
+    expect(left.seen, 'to not have item satisfying', {event: 'play'})
+    expect(events, 'to have item satisfying', {
+      id: 'page/right/theme',
+      event: 'play',
+    })
+  })
+
+  it('lets components reach only their own and nested sounds', function() {
+    const {backend, component} = start()
+    const page = component('page')
+    const player = component('page', 'player')
+    const menu = component('menu')
+
+    player.send({src: 'song.mp3', id: 'song'})
+    menu.send({src: 'click.mp3'})
+    backend.advance(10)
+    page.send({id: 'player/song', action: 'play'})
+    player.send({id: 'sound0', action: 'play'})
+
+    expect(backend.sounds['page/player/song'].playState, 'to equal', 1)
+    expect(backend.sounds.sound0.playState, 'to equal', 0)
+    expect(page.seen, 'to have item satisfying', {
+      id: 'player/song',
+      event: 'play',
+    })
+    expect(player.seen.slice(-1)[0], 'to satisfy', {
+      id: 'sound0',
+      event: 'error',
+      error: {code: 'SOUND_NOT_FOUND'},
+    })
+    expect(menu.seen, 'to not have item satisfying', {event: 'error'})
+  })
+
+  it('only sees events from within its own scope', function() {
+    const {backend, cmds$, component} = start()
+    const player = component('player')
+
+    cmds$.onNext({src: 'a.mp3', scope: ['player', 'page']})
+    cmds$.onNext({src: 'b.mp3', scope: ['list', 'player']})
+    backend.advance(10)
+
+    expect(player.seen.map(evt => evt.src), 'to equal', ['b.mp3'])
+  })
+
+  it('pauses and stops only the sounds of its scope', function() {
+    const {backend, component} = start()
+    const player = component('player')
+    const menu = component('menu')
+
+    player.send({src: 'song.mp3', id: 'song'})
+    menu.send({src: 'music.mp3', id: 'music'})
+    backend.advance(10)
+    player.send({id: 'song', action: 'play'})
+    menu.send({id: 'music', action: 'play'})
+    player.send({action: 'pauseAll'})
+
+    expect(backend.sounds['player/song'].paused, 'to be true')
+    expect(backend.sounds['menu/music'].paused, 'to be false')
+
+    player.send({action: 'resumeAll'})
+    menu.send({action: 'stopAll'})
+
+    expect(backend.sounds['player/song'].playState, 'to equal', 1)
+    expect(backend.sounds['menu/music'].playState, 'to equal', 0)
+  })
+
+  it('keeps a play queue for each scope', function() {
+    const {backend, cmds$, events, component} = start()
+    const player = component('player')
+    const menu = component('menu')
+
+    cmds$.onNext({queue: 'enqueue', src: ['intro.mp3', 'outro.mp3']})
+    player.send({queue: 'enqueue', src: ['a.mp3', 'b.mp3']})
+    player.send({queue: 'next'})
+    menu.send({queue: 'next'})
+
+    const queues = events.filter(evt => evt.event === 'queue')
+    expect(queues.slice(-1)[0], 'to satisfy', {index: -1, items: []})
+    expect(player.seen.filter(evt => evt.event === 'queue').slice(-1)[0],
+      'to satisfy', {index: 0, items: ['a.mp3', 'b.mp3'], src: 'a.mp3'})
+    expect(menu.seen, 'to not have item satisfying', {src: 'a.mp3'})
+    expect(backend.sounds.sound0.url, 'to equal', 'a.mp3')
+    expect(backend.sounds.sound0.scope, 'to equal', ['player'])
+  })
+
+  it('mixes the sounds of a scope on top of the app\'s mix', function() {
+    const {backend, cmds$, component} = start()
+    const player = component('player')
+    const menu = component('menu')
+
+    player.send({src: 'song.mp3', id: 'song', bus: 'music'})
+    menu.send({src: 'music.mp3', id: 'music', bus: 'music'})
+    cmds$.onNext({mixer: 'volume', bus: 'music', volume: 50})
+    player.send({mixer: 'volume', bus: 'music', volume: 50})
+    player.send({mixer: 'mute'})
+
+    expect(backend.sounds['player/song'].volume, 'to equal', 0)
+    expect(backend.sounds['menu/music'].volume, 'to equal', 50)
+
+    player.send({mixer: 'unmute'})
+
+    expect(backend.sounds['player/song'].volume, 'to equal', 25)
+    expect(player.seen.slice(-1)[0], 'to satisfy', {
+      event: 'mixer',
+      muted: false,
+      buses: {music: {volume: 50}},
+    })
+    expect(menu.seen, 'to not have item satisfying', {event: 'mixer'})
+  })
+})
+
+describe('stream libraries', function() {
+  const adapters = {
+    xstream: XStreamAdapter,
+    most: MostAdapter,
+    'RxJS 5': RxJSAdapter,
+  }
+
+  // Commands in the library's own stream type, keeping the observers the
+  // driver has subscribed.
+  function makeCommands(adapter) {
+    const observers = []
+    const stream = adapter.adapt(observers, (origin, observer) => {
+      observers.push(observer)
+      return () => observers.splice(observers.indexOf(observer), 1)
+    })
+
+    return {
+      stream,
+      observers,
+      send: command => observers.forEach(observer => observer.next(command)),
+    }
+  }
+
+  function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10))
+  }
+
+  // Runs each step a task after the one before, as most starts streams and
+  // delivers values, and xstream stops streams, after the current task.
+  function inTurn(...steps) {
+    return steps.reduce((done, step) => done.then(settle).then(step),
+      Promise.resolve())
+  }
+
+  Object.keys(adapters).forEach(name => {
+    const adapter = adapters[name]
+
+    describe(name, function() {
+      it('takes commands and gives events in the app\'s library', function() {
+        const {backend, audioDriver} = makeTestDriver({duration: 1000})
+        const commands = makeCommands(adapter)
+        const audio = audioDriver(commands.stream, adapter)
+        const loads = collect(audio.select('theme').events('load'), adapter)
+        const states = collect(audio.state$, adapter)
+
+        expect(adapter.isValidStream(audio), 'to be true')
+
+        return inTurn(
+          () => commands.send({src: 'theme.mp3', id: 'theme'}),
+          () => backend.advance(10),
+          () => {
+            expect(loads.values, 'to satisfy', [{id: 'theme', event: 'load'}])
+            expect(states.values, 'to equal', [
+              {id: 'theme', state: 'stopped'},
+            ])
+            loads.dispose()
+            states.dispose()
+          },
+          () => {
+            expect(backend.sounds, 'to equal', {})
+            expect(commands.observers, 'to equal', [])
+          })
+      })
+
+      it('isolates sources and sinks in the app\'s library', function() {
+        const {backend, audioDriver} = makeTestDriver({duration: 1000})
+        const commands = makeCommands(adapter)
+        const audio = audioDriver(commands.stream, adapter)
+        const playerCommands = makeCommands(adapter)
+        const sink = collect(
+          audio.isolateSink(playerCommands.stream, 'player'), adapter)
+        const loads = collect(
+          audio.isolateSource(audio, 'player').events('load'), adapter)
+
+        return inTurn(
+          () => playerCommands.send({src: 'theme.mp3', id: 'theme'}),
+          () => {
+            sink.values.forEach(commands.send)
+            commands.send({src: 'menu.mp3', id: 'menu'})
+          },
+          () => backend.advance(10),
+          () => {
+            expect(sink.values, 'to equal', [
+              {src: 'theme.mp3', id: 'theme', scope: ['player']},
+            ])
+            expect(loads.values, 'to satisfy', [
+              {id: 'theme', src: 'theme.mp3'},
+            ])
+          })
+      })
+    })
+  })
+})
+
+describe('teardown', function() {
+  function startDriver() {
+    const driver = startTestDriver()
+
+    driver.cmds$.onNext({src: 'a.mp3'})
+    driver.backend.advance(10)
+    driver.cmds$.onNext({id: 'sound0', action: 'play'})
+    driver.backend.advance(100)
+
+    return driver
+  }
+
+  it('unloads its sounds when the subscription is disposed', function() {
+    const {backend, cmds$, events, subscription} = startDriver()
+    const count = events.length
+
+    subscription.dispose()
+    cmds$.onNext({src: 'b.mp3'})
+    backend.advance(1000)
+
+    expect(backend.sounds, 'to equal', {})
+    expect(events, 'to have length', count)
+    expect(cmds$.hasObservers(), 'to be false')
+  })
+
+  it('unloads its sounds when the source is disposed', function() {
+    const {backend, cmds$, audio, events} = startDriver()
+    const count = events.length
+
+    audio.dispose()
+    backend.advance(1000)
+
+    expect(backend.sounds, 'to equal', {})
+    expect(events, 'to have length', count)
+    expect(cmds$.hasObservers(), 'to be false')
+  })
+
+  it('sets the backend up only once', function() {
+    const backend = makeFakeBackend()
+    const setup = backend.setup
+    let setups = 0
+    backend.setup = onready => {
+      setups++
+      setup(onready)
+    }
+
+    const audioDriver = makeAudioDriver({backend})
+    audioDriver(Observable.empty()).subscribe(() => null)
+    audioDriver(Observable.empty()).subscribe(() => null)
+
+    expect(setups, 'to equal', 1)
+  })
+})
+
+describe('errors', function() {
+  function run(commands, options = {}) {
+    const {backend, cmds$, events} = startTestDriver(options)
+
+    commands.forEach(command => cmds$.onNext(command))
+    backend.advance(10)
+
+    return named(events, 'error')
+  }
+
+  function codes(errors) {
+    return errors.map(evt => evt.error.code)
+  }
+
+  it('reports unknown sounds without ending the stream', function() {
+    const errors = run([
+      {id: 'nope', action: 'play'},
+      {src: 'a.mp3'},
+      {id: 'nope', action: 'unload'},
+    ])
+
+    expect(errors[0], 'to satisfy', {
+      id: 'nope',
+      error: {
+        code: 'SOUND_NOT_FOUND',
+        message: 'Could not find sound',
+        command: {id: 'nope', action: 'play'},
+      },
+    })
+    expect(codes(errors), 'to equal', ['SOUND_NOT_FOUND', 'SOUND_NOT_FOUND'])
+  })
+
+  it('reports load commands without a src', function() {
+    const errors = run([{volume: 50, scope: ['player']}])
+
+    expect(errors, 'to satisfy', [
+      {id: null, scope: ['player'], error: {code: 'MISSING_SRC'}},
+    ])
+  })
+
+  it('reports actions the sound or backend does not support', function() {
+    const errors = run([
+      {src: 'a.mp3'},
+      {id: 'sound0', action: 'explode'},
+      {action: 'explodeAll'},
+    ])
+
+    expect(codes(errors), 'to equal', [
+      'UNSUPPORTED_ACTION',
+      'UNSUPPORTED_ACTION',
+    ])
+    expect(errors[0].error.message, 'to equal',
+      'Unsupported sound action "explode"')
+  })
+
+  it('rejects commands with unknown or mistyped fields', function() {
+    const errors = run([
+      {src: 'a.mp3', autoPlay: true},
+      {id: 'sound0', volume: 'loud'},
+      {queue: 'finished'},
+    ])
+
+    expect(errors.map(evt => evt.error), 'to satisfy', [
+      {
+        code: 'INVALID_COMMAND',
+        message: 'Unknown field "autoPlay" in load command',
+      },
+      {
+        code: 'INVALID_COMMAND',
+        message: 'Field "volume" must be number in sound command',
+      },
+      {
+        code: 'UNSUPPORTED_ACTION',
+        message: 'Unsupported queue action "finished"',
+      },
+    ])
+  })
+
+  it('reports a backend that does not start', function() {
+    const errors = run([], {failSetup: true})
+
+    expect(codes(errors), 'to equal', ['SETUP_TIMEOUT'])
+  })
+})
+
+describe('command schema', function() {
+  it('lists the actions and fields of each kind of command', function() {
+    expect(commandSchema, 'to have keys', 'load', 'sound', 'global', 'queue')
+    expect(commandSchema.sound.actions, 'to contain', 'play', 'unload')
+    expect(commandSchema.global.actions, 'not to contain', 'reboot')
+  })
+
+  it('validates commands without running them', function() {
+    expect(validateCommand({id: 'sound0', action: 'play'}), 'to be null')
+    expect(validateCommand({action: 'setup'}), 'to satisfy', {
+      code: 'UNSUPPORTED_ACTION',
+      command: {action: 'setup'},
+    })
+    expect(validateCommand('play'), 'to satisfy', {code: 'INVALID_COMMAND'})
+  })
+
+  it('checks the fields queue actions need', function() {
+    expect(validateCommand({queue: 'move', from: 0, to: 2}), 'to be null')
+    expect(validateCommand({queue: 'move', from: 0}), 'to satisfy', {
+      code: 'INVALID_COMMAND',
+      message: 'Field "to" is required by queue action "move"',
+    })
+    expect(validateCommand({queue: 'enqueue'}), 'to satisfy', {
+      message: 'Field "src" is required by queue action "enqueue"',
+    })
+    expect(validateCommand({queue: 'repeat', mode: 'forever'}), 'to satisfy', {
+      code: 'INVALID_COMMAND',
+      message: /mode/,
+    })
+  })
+
+  it('checks volumes are within range and crossfades have a target', function() {
+    expect(validateCommand({id: 'sound0', volume: 500}), 'to satisfy', {
+      code: 'INVALID_COMMAND',
+      message: 'Field "volume" must be from 0 to 100 in sound command',
+    })
+    expect(validateCommand({tracks: {music: {src: 'a.mp3', volume: -5}}}),
+      'to satisfy', {message: /volume" must be from 0 to 100 in track "music"/})
+    expect(validateCommand({id: 'sound0', action: 'crossfade'}), 'to satisfy', {
+      code: 'INVALID_COMMAND',
+      message: 'Field "to" is required by sound action "crossfade"',
+    })
+  })
+})
+
+describe('state snapshots', function() {
+  function start() {
+    return startTestDriver({channels: {sfx: 'mix'}})
+  }
+
+  // The `track:src` of each event of a kind.
+  function tracks(events, name) {
+    return named(events, name).map(evt => `${evt.track}:${evt.src}`)
+  }
+
+  it('loads and plays the tracks of a snapshot', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({tracks: {
+      intro: {src: 'intro.mp3', playing: true, volume: 60},
+      rain: {src: 'rain.mp3', playing: false, channel: 'sfx'},
+    }})
+    backend.advance(100)
+
+    expect(tracks(events, 'load'), 'to equal', [
+      'intro:intro.mp3',
+      'rain:rain.mp3',
+    ])
+    expect(tracks(events, 'play'), 'to equal', ['intro:intro.mp3'])
+    expect(backend.sounds.sound0.volume, 'to equal', 60)
+  })
+
+  it('only applies the differences to the sounds', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', playing: true}}})
+    backend.advance(100)
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', playing: true}}})
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', playing: false}}})
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', playing: false}}})
+
+    expect(tracks(events, 'play'), 'to equal', ['intro:intro.mp3'])
+    expect(tracks(events, 'pause'), 'to equal', ['intro:intro.mp3'])
+  })
+
+  it('seeks when the position changes', function() {
+    const {backend, cmds$} = start()
+
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', position: 500}}})
+    backend.advance(10)
+    expect(backend.sounds.sound0.position, 'to equal', 500)
+
+    backend.sounds.sound0.setPosition(100)
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', position: 500}}})
+    expect(backend.sounds.sound0.position, 'to equal', 100)
+
+    cmds$.onNext({tracks: {intro: {src: 'intro.mp3', position: 800}}})
+    expect(backend.sounds.sound0.position, 'to equal', 800)
+  })
+
+  it('unloads tracks that are dropped or change src', function() {
+    const {backend, cmds$, events} = start()
+
+    cmds$.onNext({tracks: {
+      intro: {src: 'intro.mp3'},
+      rain: {src: 'rain.mp3'},
+    }})
+    cmds$.onNext({tracks: {intro: {src: 'intro2.mp3'}}})
+    backend.advance(10)
+
+    expect(tracks(events, 'unload'), 'to equal', [
+      'intro:intro.mp3',
+      'rain:rain.mp3',
+    ])
+    expect(tracks(events, 'load'), 'to equal', ['intro:intro2.mp3'])
+  })
+
+  it('keeps the tracks of each scope apart', function() {
+    const {cmds$, events} = start()
+
+    cmds$.onNext({tracks: {intro: {src: 'a.mp3'}}, scope: ['one']})
+    cmds$.onNext({tracks: {intro: {src: 'b.mp3'}}, scope: ['two']})
+    cmds$.onNext({tracks: {}, scope: ['one']})
+
+    expect(tracks(events, 'unload'), 'to equal', ['intro:a.mp3'])
+  })
+
+  it('rejects tracks without a src', function() {
+    const {cmds$, events} = start()
+
+    cmds$.onNext({tracks: {intro: {playing: true}}})
+
+    expect(events, 'to satisfy', [{
+      event: 'error',
+      error: {
+        code: 'INVALID_COMMAND',
+        message: 'Field "src" is required in track "intro"',
+      },
+    }])
   })
 })
@@ -0,0 +1,116 @@
+/* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
+/*global describe, it */
+import expect from 'unexpected'
+import {Observable, ReactiveTest, TestScheduler} from 'rx'
+import {
+  makeAudioDriver,
+  makeFakeBackend,
+  mockAudioSource,
+  mockAudioDriver,
+} from '../src'
+
+function collect(source$, scheduler) {
+  const events = []
+  source$.subscribe(evt => events.push(evt))
+  scheduler.start()
+  return events
+}
+
+describe('mock audio source', function() {
+  it('emits events shaped like the driver events', function() {
+    const backend = makeFakeBackend({duration: 1000})
+    const driverEvents = []
+    makeAudioDriver({backend})(Observable.just({src: 'song.mp3'}))
+      .subscribe(evt => driverEvents.push(evt))
+    backend.advance(10)
+
+    const scheduler = new TestScheduler()
+    const events = collect(mockAudioSource(scheduler, [
+      [210, 'load', {id: 'sound0', src: 'song.mp3', duration: 1000}],
+    ]), scheduler)
+
+    expect(events, 'to equal', driverEvents)
+  })
+
+  it('carries the state of each sound from event to event', function() {
+    const scheduler = new TestScheduler()
+    const events = collect(mockAudioSource(scheduler, [
+      [210, 'load', {id: 'sound0', src: 'song.mp3', duration: 1000}],
+      [220, 'play', {id: 'sound0'}],
+      [300, 'playing', {id: 'sound0', position: 80}],
+      [310, 'pause', {id: 'sound0'}],
+      [400, 'error', {src: 'missing.mp3', scope: ['player']}],
+    ]), scheduler)
+
+    expect(events, 'to satisfy', [
+      {event: 'load', loaded: true, playing: false, duration: 1000},
+      {event: 'play', playing: true, paused: false, src: 'song.mp3'},
+      {event: 'playing', playing: true, position: 80},
+      {event: 'pause', playing: false, paused: true, position: 80},
+      {
+        id: undefined,
+        event: 'error',
+        src: 'missing.mp3',
+        scope: ['player'],
+        error: {code: 'LOAD_FAILED'},
+      },
+    ])
+  })
+
+  it('keeps the metadata of each sound', function() {
+    const scheduler = new TestScheduler()
+    const events = collect(mockAudioSource(scheduler, [
+      [210, 'metadata', {id: 'sound0', metadata: {title: 'Intro'}}],
+      [220, 'play', {id: 'sound0'}],
+    ]), scheduler)
+
+    expect(events[1].metadata, 'to equal', {
+      title: 'Intro',
+      artist: null,
+      album: null,
+      streamTitle: null,
+    })
+  })
+
+  it('can be isolated like the real source', function() {
+    const scheduler = new TestScheduler()
+    const audio = mockAudioSource(scheduler, [
+      [210, 'load', {id: 'sound0', src: 'a.mp3', scope: ['one']}],
+      [220, 'load', {id: 'sound1', src: 'b.mp3', scope: ['two']}],
+    ])
+
+    const events = collect(audio.isolateSource(audio, 'two'), scheduler)
+    expect(events.map(evt => evt.id), 'to equal', ['sound1'])
+  })
+
+  it('can be selected from like the real source', function() {
+    const scheduler = new TestScheduler()
+    const audio = mockAudioSource(scheduler, [
+      [210, 'load', {id: 'sound0', src: 'a.mp3'}],
+      [220, 'play', {id: 'sound0'}],
+      [230, 'play', {id: 'sound1', src: 'b.mp3'}],
+    ])
+
+    const events = collect(audio.select('sound0').events('play'), scheduler)
+    expect(events.map(evt => evt.id), 'to equal', ['sound0'])
+  })
+})
+
+describe('mock audio driver', function() {
+  it('records the commands it receives', function() {
+    const scheduler = new TestScheduler()
+    const audioDriver = mockAudioDriver(scheduler, [
+      [210, 'load', {id: 'sound0', src: 'song.mp3'}],
+    ])
+
+    const audio$ = audioDriver(scheduler.createHotObservable(
+      ReactiveTest.onNext(205, {src: 'song.mp3'})
+    ))
+    const events = collect(audio$, scheduler)
+
+    expect(events.map(evt => evt.event), 'to equal', ['load'])
+    expect(audioDriver.commands, 'to equal', [
+      {time: 205, command: {src: 'song.mp3'}},
+    ])
+  })
+})
@@ -0,0 +1,168 @@
+/* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
+/*global describe, it */
+import expect from 'unexpected'
+import {Subject} from 'rx'
+import {makeAudioDriver, makeFakeBackend} from '../src'
+import {makeQueue, reduceQueue} from '../src/queue'
+
+function reduceAll(commands, random) {
+  return commands.reduce((queue, command) =>
+    reduceQueue(queue, command, random), makeQueue())
+}
+
+describe('play queue', function() {
+  it('enqueues items at the end or at a given index', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3']},
+      {queue: 'enqueue', src: 'c.mp3', at: 1},
+    ])
+
+    expect(queue, 'to satisfy', {
+      items: ['a.mp3', 'c.mp3', 'b.mp3'],
+      index: -1,
+    })
+  })
+
+  it('keeps the current item when items are added before it', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3']},
+      {queue: 'jumpTo', index: 1},
+      {queue: 'enqueue', src: 'c.mp3', at: 0},
+    ])
+
+    expect(queue, 'to satisfy', {index: 2})
+    expect(queue.items[queue.index], 'to equal', 'b.mp3')
+  })
+
+  it('moves through the items with next and previous', function() {
+    const start = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3']},
+      {queue: 'next'},
+    ])
+    const second = reduceQueue(start, {queue: 'next'})
+
+    expect(start.index, 'to equal', 0)
+    expect(second.index, 'to equal', 1)
+    expect(reduceQueue(second, {queue: 'previous'}).index, 'to equal', 0)
+    expect(reduceQueue(second, {queue: 'next'}).index, 'to equal', -1)
+  })
+
+  it('wraps around when repeating all', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3']},
+      {queue: 'repeat', mode: 'all'},
+      {queue: 'jumpTo', index: 1},
+      {queue: 'finished'},
+    ])
+
+    expect(queue.index, 'to equal', 0)
+  })
+
+  it('stays on the same item when repeating one', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3']},
+      {queue: 'repeat', mode: 'one'},
+      {queue: 'next'},
+      {queue: 'finished'},
+    ])
+
+    expect(queue.index, 'to equal', 0)
+    expect(reduceQueue(queue, {queue: 'next'}).index, 'to equal', 1)
+  })
+
+  it('removes items by src or index', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3', 'c.mp3', 'b.mp3']},
+      {queue: 'jumpTo', index: 2},
+      {queue: 'remove', src: 'b.mp3'},
+    ])
+
+    expect(queue, 'to satisfy', {items: ['a.mp3', 'c.mp3'], index: 1})
+    expect(reduceQueue(queue, {queue: 'remove', index: 1}), 'to satisfy', {
+      items: ['a.mp3'],
+      index: -1,
+    })
+  })
+
+  it('reorders items and follows the current one', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3', 'c.mp3']},
+      {queue: 'jumpTo', index: 0},
+      {queue: 'move', from: 0, to: 2},
+    ])
+
+    expect(queue, 'to satisfy', {
+      items: ['b.mp3', 'c.mp3', 'a.mp3'],
+      index: 2,
+    })
+  })
+
+  it('plays every item once in shuffled order', function() {
+    const queue = reduceAll([
+      {queue: 'enqueue', src: ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3']},
+      {queue: 'jumpTo', index: 2},
+      {queue: 'shuffle', enabled: true},
+    ], () => 0)
+
+    expect(queue.order[0], 'to equal', 2)
+    expect(queue.order.slice().sort(), 'to equal', [0, 1, 2, 3])
+
+    const visited = [queue.index]
+    let next = reduceQueue(queue, {queue: 'next'})
+    while (next.index !== -1) {
+      visited.push(next.index)
+      next = reduceQueue(next, {queue: 'next'})
+    }
+
+    expect(visited, 'to equal', queue.order)
+  })
+})
+
+describe('play queue in the driver', function() {
+  it('plays the next item when the current one finishes', function() {
+    const backend = makeFakeBackend({duration: 500})
+    const cmds$ = new Subject()
+    const events = []
+
+    makeAudioDriver({backend})(cmds$).subscribe(evt => events.push(evt))
+
+    cmds$.onNext({queue: 'enqueue', src: ['a.mp3', 'b.mp3']})
+    cmds$.onNext({queue: 'next'})
+    backend.advance(2000)
+
+    const queueEvents = events.filter(evt => evt.event === 'queue')
+    expect(queueEvents.map(evt => evt.index), 'to equal', [-1, 0, 1, -1])
+    expect(queueEvents[1], 'to satisfy', {src: 'a.mp3', id: 'sound0'})
+    expect(queueEvents[2], 'to satisfy', {src: 'b.mp3', id: 'sound1'})
+
+    const finished = events
+      .filter(evt => evt.event === 'finish')
+      .map(evt => evt.src)
+    expect(finished, 'to equal', ['a.mp3', 'b.mp3'])
+  })
+
+  it('unloads the sounds of items that are replaced or removed', function() {
+    const backend = makeFakeBackend({duration: 500})
+    const cmds$ = new Subject()
+    const events = []
+
+    makeAudioDriver({backend})(cmds$).subscribe(evt => events.push(evt))
+
+    cmds$.onNext({queue: 'enqueue', src: ['x1.mp3', 'x2.mp3', 'x3.mp3']})
+    cmds$.onNext({queue: 'next'})
+    cmds$.onNext({queue: 'next'})
+    cmds$.onNext({queue: 'replace', src: ['y1.mp3']})
+    cmds$.onNext({queue: 'next'})
+    cmds$.onNext({queue: 'enqueue', src: 'y2.mp3'})
+    cmds$.onNext({queue: 'next'})
+    cmds$.onNext({queue: 'remove', src: 'y1.mp3'})
+    backend.advance(100)
+
+    const unloaded = events
+      .filter(evt => evt.event === 'unload')
+      .map(evt => evt.src)
+    expect(unloaded, 'to equal', ['x1.mp3', 'x2.mp3', 'y1.mp3'])
+    expect(Object.keys(backend.sounds).map(id => backend.sounds[id].url),
+      'to equal', ['y2.mp3'])
+  })
+})
@@ -0,0 +1,236 @@
+/* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
+/*global describe, it */
+import expect from 'unexpected'
+import {Subject} from 'rx'
+import {makeAudioDriver, makeSoundManagerBackend} from '../src'
+
+// A stand-in for SoundManager2's `soundManager`, whose sounds set their volume
+// and pan the way SMSound does, including the instance-only calls `play()`
+// makes. `heard` is the volume the browser or Flash was last told to play at.
+function makeSMSound(sm2, options) {
+  const s = {
+    id: options.id,
+    url: options.url,
+    options: {volume: 100, pan: 0, ...options},
+    isHTML5: sm2.html5,
+    _a: sm2.html5 ? {} : null,
+    readyState: 0,
+    playState: 0,
+    paused: false,
+    muted: false,
+    position: 0,
+    duration: null,
+    volume: 100,
+    pan: 0,
+    heard: 100,
+  }
+  s._iO = {...s.options}
+
+  function callback(name) {
+    if (typeof s._iO[name] === `function`) { s._iO[name].call(s) }
+  }
+
+  return Object.assign(s, {
+    play() {
+      s._iO = {...s.options, ...s._iO}
+      s.setVolume(s._iO.volume, true)
+      s.setPan(s._iO.pan, true)
+      s.playState = 1
+      s.paused = false
+      callback(`onplay`)
+    },
+    pause() {
+      s.paused = true
+      callback(`onpause`)
+    },
+    resume() {
+      s.paused = false
+      callback(`onresume`)
+    },
+    togglePause() {
+      if (s.paused) {
+        s.resume()
+      } else if (s.playState === 1) {
+        s.pause()
+      } else {
+        s.play()
+      }
+    },
+    stop() {
+      s.playState = 0
+      s.paused = false
+      s.position = 0
+      callback(`onstop`)
+    },
+    setPosition(position) { s.position = position },
+    setVolume(nVol = 100, bInstanceOnly = false) {
+      s.heard = sm2.muted || s.muted ? 0 : nVol
+      if (s._a) { s._a.volume = Math.max(0, Math.min(1, nVol / 100)) }
+      s._iO.volume = nVol
+      if (!bInstanceOnly) {
+        s.volume = nVol
+        s.options.volume = nVol
+      }
+      return s
+    },
+    setPan(nPan = 0, bInstanceOnly = false) {
+      s._iO.pan = nPan
+      if (!bInstanceOnly) {
+        s.pan = nPan
+        s.options.pan = nPan
+      }
+      return s
+    },
+    setPlaybackRate(rate) {
+      if (s.isHTML5) { s._a.playbackRate = Math.max(0.5, Math.min(4, rate)) }
+      return s
+    },
+    mute() { s.muted = true },
+    unmute() { s.muted = false },
+    toggleMute() { s.muted = !s.muted },
+    onPosition() { return s },
+    clearOnPosition() { return s },
+    unload() {
+      s.readyState = 0
+      s.playState = 0
+    },
+    destruct() { delete sm2.sounds[s.id] },
+  })
+}
+
+function makeSoundManagerStub({html5 = false} = {}) {
+  let idCounter = 0
+
+  const sm2 = {
+    html5,
+    muted: false,
+    sounds: {},
+    calls: [],
+    setupOptions: {idPrefix: `sound`},
+    setup: options => options.onready(),
+    createSound(options) {
+      const id = options.id === undefined ?
+        sm2.setupOptions.idPrefix + idCounter++ :
+        options.id
+      if (!sm2.sounds[id]) {
+        sm2.sounds[id] = makeSMSound(sm2, {...options, id})
+      }
+      return sm2.sounds[id]
+    },
+    load(id, duration = 1000) {
+      const sound = sm2.sounds[id]
+      sound.readyState = 3
+      sound.duration = duration
+      sound._iO.onload.call(sound)
+    },
+  }
+
+  ;[`pauseAll`, `resumeAll`, `stopAll`, `mute`, `unmute`].forEach(action => {
+    sm2[action] = () => sm2.calls.push(action)
+  })
+
+  return sm2
+}
+
+function start(options = {}, stubOptions = {}) {
+  const sm2 = makeSoundManagerStub(stubOptions)
+  const backend = makeSoundManagerBackend(options, sm2)
+  const cmds$ = new Subject()
+  const events = []
+
+  makeAudioDriver({backend})(cmds$).subscribe(evt => events.push(evt))
+
+  return {sm2, cmds$, events}
+}
+
+describe('soundmanager backend', function() {
+  it('sets SoundManager2 up with the options given', function() {
+    const {sm2} = start({debugMode: false})
+
+    expect(sm2.setupOptions, 'to satisfy', {
+      debugMode: false,
+      url: '/node_modules/soundmanager2/swf/',
+    })
+  })
+
+  it('loads and plays sounds through SoundManager2', function() {
+    const {sm2, cmds$, events} = start()
+
+    cmds$.onNext({src: 'song.mp3'})
+    sm2.load('sound0', 1200)
+    cmds$.onNext({id: 'sound0', action: 'play'})
+
+    expect(events.slice(0, 2), 'to satisfy', [
+      {event: 'load', id: 'sound0', src: 'song.mp3', duration: 1200},
+      {event: 'play', id: 'sound0', playing: true, volume: 100},
+    ])
+    expect(sm2.sounds.sound0.heard, 'to equal', 100)
+  })
+
+  it('passes global actions on to SoundManager2', function() {
+    const {sm2, cmds$} = start()
+
+    cmds$.onNext({action: 'pauseAll'})
+    cmds$.onNext({action: 'stopAll'})
+
+    expect(sm2.calls, 'to equal', ['pauseAll', 'stopAll'])
+  })
+
+  it('only changes the rate of HTML5 sounds', function() {
+    const flash = start()
+    const html5 = start({}, {html5: true})
+
+    ;[flash, html5].forEach(({sm2, cmds$}) => {
+      cmds$.onNext({src: 'song.mp3'})
+      sm2.load('sound0')
+      cmds$.onNext({id: 'sound0', rate: 2, preservePitch: false})
+    })
+
+    expect(flash.events.map(evt => evt.event), 'to contain', 'error')
+    expect(html5.events.map(evt => evt.event), 'not to contain', 'error')
+    expect(html5.sm2.sounds.sound0._a, 'to satisfy', {
+      playbackRate: 2,
+      preservesPitch: false,
+    })
+  })
+
+  it('plays HTML5 sounds, which cannot pan', function() {
+    const {sm2, cmds$, events} = start({}, {html5: true})
+
+    cmds$.onNext({src: 'song.mp3', pan: -40})
+    sm2.load('sound0')
+    cmds$.onNext({id: 'sound0', action: 'play'})
+    cmds$.onNext({id: 'sound0', pan: 40})
+
+    expect(events.filter(evt => evt.event === 'error'), 'to satisfy', [
+      {id: 'sound0', error: {code: 'UNSUPPORTED_PAN', command: {pan: -40}}},
+      {id: 'sound0', error: {code: 'UNSUPPORTED_PAN', command: {pan: 40}}},
+    ])
+    expect(events, 'to have an item satisfying', {event: 'play', pan: 0})
+  })
+
+  it('pans Flash sounds', function() {
+    const {sm2, cmds$, events} = start()
+
+    cmds$.onNext({src: 'song.mp3', pan: -40})
+    sm2.load('sound0')
+    cmds$.onNext({id: 'sound0', action: 'play'})
+
+    expect(events, 'to have an item satisfying', {event: 'play', pan: -40})
+    expect(sm2.sounds.sound0._iO.pan, 'to equal', -40)
+  })
+
+  it('mixes the volume once however often sounds play', function() {
+    const {sm2, cmds$, events} = start()
+
+    cmds$.onNext({src: 'song.mp3', bus: 'music'})
+    sm2.load('sound0')
+    cmds$.onNext({mixer: 'volume', bus: 'music', volume: 50})
+    cmds$.onNext({id: 'sound0', volume: 50})
+    ;['play', 'stop', 'play', 'pause', 'resume'].forEach(action =>
+      cmds$.onNext({id: 'sound0', action}))
+
+    expect(sm2.sounds.sound0.heard, 'to equal', 25)
+    expect(events.slice(-1)[0], 'to satisfy', {playing: true, volume: 50})
+  })
+})
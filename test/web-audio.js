@@ -0,0 +1,140 @@
+/* eslint quotes: 0, func-names: 0, max-nested-callbacks: 0 */
+/*global describe, it, beforeEach, afterEach */
+import expect from 'unexpected'
+import {Subject} from 'rx'
+import {makeAudioDriver, makeWebAudioBackend} from '../src'
+
+function makeNode(params = {}) {
+  return {...params, connect() {}, disconnect() {}}
+}
+
+// A stand-in for the browser's `AudioContext`, which starts suspended as
+// browsers' autoplay policies have it, and whose clock the specs move.
+function makeAudioContext(browser) {
+  const context = {
+    state: 'suspended',
+    currentTime: 0,
+    destination: makeNode(),
+    resume() {
+      context.state = 'running'
+      return Promise.resolve()
+    },
+    createGain: () => makeNode({gain: {value: 1}}),
+    createStereoPanner() {
+      browser.panner = makeNode({pan: {value: 0}})
+      return browser.panner
+    },
+    createBufferSource() {
+      const source = makeNode({
+        buffer: null,
+        playbackRate: {value: 1},
+        start(when, offset) { source.started = offset },
+        stop() { source.stopped = true },
+      })
+      browser.sources.push(source)
+      return source
+    },
+    decodeAudioData: (data, onload) => onload({duration: data.seconds}),
+  }
+
+  return context
+}
+
+// A stand-in for `XMLHttpRequest`, answering once the spec calls `respond`.
+function makeRequest(browser) {
+  const request = {
+    open(method, url) { request.url = url },
+    send() { browser.requests.push(request) },
+    respond(seconds) {
+      request.status = 200
+      request.response = {seconds}
+      request.onload()
+    },
+  }
+
+  return request
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve))
+}
+
+describe('web audio backend', function() {
+  let browser = null
+
+  beforeEach(function() {
+    browser = {requests: [], sources: [], panner: null}
+    global.window = {
+      AudioContext: function AudioContext() {
+        browser.context = makeAudioContext(browser)
+        return browser.context
+      },
+      XMLHttpRequest: function XMLHttpRequest() {
+        return makeRequest(browser)
+      },
+    }
+  })
+
+  afterEach(function() {
+    delete global.window
+  })
+
+  // Starts a driver on the backend, and loads a sound once it is set up.
+  function start(load = {}) {
+    const cmds$ = new Subject()
+    const events = []
+
+    makeAudioDriver({backend: makeWebAudioBackend()})(cmds$)
+      .subscribe(evt => events.push(evt))
+
+    return settle().then(() => {
+      cmds$.onNext({src: 'song.mp3', ...load})
+      browser.requests[0].respond(1.2)
+
+      return {cmds$, events}
+    })
+  }
+
+  it('decodes sounds and plays them through buffer sources', function() {
+    return start().then(({cmds$, events}) => {
+      cmds$.onNext({id: 'sound0', action: 'play'})
+      browser.context.currentTime = 0.5
+      cmds$.onNext({id: 'sound0', action: 'stop'})
+
+      expect(browser.requests[0].url, 'to equal', 'song.mp3')
+      expect(browser.sources, 'to satisfy', [{started: 0, stopped: true}])
+      expect(events.map(evt => evt.event), 'to equal',
+        ['load', 'play', 'update', 'stop', 'update'])
+      expect(events[0], 'to satisfy', {id: 'sound0', duration: 1200})
+    })
+  })
+
+  it('resumes a context the browser suspended', function() {
+    return start().then(({cmds$, events}) => {
+      cmds$.onNext({id: 'sound0', action: 'play'})
+      browser.context.currentTime = 0.5
+      cmds$.onNext({id: 'sound0', action: 'pause'})
+
+      expect(browser.context.state, 'to equal', 'running')
+      expect(events.slice(-1)[0], 'to satisfy', {position: 500, paused: true})
+
+      browser.context.state = 'suspended'
+      cmds$.onNext({id: 'sound0', action: 'resume'})
+      cmds$.onNext({id: 'sound0', action: 'stop'})
+
+      expect(browser.context.state, 'to equal', 'running')
+      expect(browser.sources[1].started, 'to equal', 0.5)
+    })
+  })
+
+  it('pans sounds through a stereo panner', function() {
+    return start({pan: -40}).then(({cmds$, events}) => {
+      expect(browser.panner.pan.value, 'to equal', -0.4)
+
+      cmds$.onNext({id: 'sound0', pan: 40})
+
+      expect(browser.panner.pan.value, 'to equal', 0.4)
+      expect(events.slice(-1)[0], 'to satisfy', {event: 'update', pan: 40})
+    })
+  })
+})